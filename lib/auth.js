@@ -0,0 +1,117 @@
+// App-level client authentication. A caller presents either
+//   X-API-Key: <key>                      (CLIENT_API_KEYS)
+//   Authorization: Bearer <device token>  (HS256 JWT signed with DEVICE_TOKEN_SECRET)
+// and the middleware sets req.client = { id, deviceId, via }. Device tokens
+// are issued by POST /auth/device-token to a caller holding an API key, so a
+// shared app key still gets per-install rate limits.
+
+const jwt = require("jsonwebtoken");
+const { httpError } = require("./httpError");
+
+const DEVICE_TOKEN_ISSUER = "vibecraft";
+const DEFAULT_DEVICE_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// "ios:key1,web:key2" → Map(key → clientId). A bare key is named after its position.
+function parseApiKeys(raw) {
+  const keys = new Map();
+  String(raw || "")
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean)
+    .forEach((entry, i) => {
+      const at = entry.indexOf(":");
+      const [clientId, key] = at === -1 ? [`client-${i + 1}`, entry] : [entry.slice(0, at).trim(), entry.slice(at + 1).trim()];
+      if (key) keys.set(key, clientId);
+    });
+  return keys;
+}
+
+function createClientAuth({
+  apiKeys = new Map(),
+  deviceSecret,
+  deviceTokenTtlSeconds = DEFAULT_DEVICE_TOKEN_TTL_SECONDS,
+  exempt = [],
+} = {}) {
+  const enabled = apiKeys.size > 0 || Boolean(deviceSecret);
+
+  function verifyDeviceToken(token) {
+    try {
+      const claims = jwt.verify(token, deviceSecret, { algorithms: ["HS256"], issuer: DEVICE_TOKEN_ISSUER });
+      if (!claims.cid || !claims.sub) return null;
+      return { id: claims.cid, deviceId: claims.sub, via: "device-token" };
+    } catch {
+      return null;
+    }
+  }
+
+  // null when no credentials were sent; throws 401 for bad ones. A kind of
+  // credential the server doesn't issue is ignored: with DEVICE_TOKEN_SECRET
+  // unset a Bearer header is somebody else's token, not a failed login.
+  function identify(req) {
+    const key = req.get("x-api-key");
+    if (key && apiKeys.size) {
+      const clientId = apiKeys.get(key);
+      if (!clientId) throw httpError(401, "Invalid API key");
+      return { id: clientId, deviceId: null, via: "api-key" };
+    }
+    const [scheme, token] = String(req.get("authorization") || "").split(" ");
+    if (deviceSecret && /^bearer$/i.test(scheme) && token) {
+      const client = verifyDeviceToken(token);
+      if (!client) throw httpError(401, "Invalid or expired device token");
+      return client;
+    }
+    return null;
+  }
+
+  function middleware(req, res, next) {
+    if (exempt.includes(req.path)) return next();
+    try {
+      req.client = identify(req);
+    } catch (e) {
+      return res.status(e.status).json({ error: e.message });
+    }
+    if (!req.client && enabled) {
+      return res.status(401).json({ error: "Client credentials required (X-API-Key or a device token)" });
+    }
+    next();
+  }
+
+  // Only API-key clients can mint device tokens, always for themselves
+  function issueDeviceToken(client, deviceId) {
+    if (!deviceSecret) throw httpError(404, "Device tokens are not enabled on this server");
+    if (client?.via !== "api-key") throw httpError(403, "Device tokens are issued to API-key clients only");
+    const id = String(deviceId || "").trim();
+    if (!id || id.length > 128) throw httpError(400, "deviceId is required (at most 128 characters)");
+    const token = jwt.sign({ cid: client.id }, deviceSecret, {
+      algorithm: "HS256",
+      subject: id,
+      issuer: DEVICE_TOKEN_ISSUER,
+      expiresIn: deviceTokenTtlSeconds,
+    });
+    return { token, deviceId: id, expiresAt: new Date(Date.now() + deviceTokenTtlSeconds * 1000).toISOString() };
+  }
+
+  return { enabled, middleware, issueDeviceToken };
+}
+
+/*
+  Signed Apple developer tokens, reused until close to expiry.
+  get(minTtlSeconds) returns { token, expiresAt } with at least
+  `minTtlSeconds` (and never less than `refreshBeforeSeconds`) left.
+*/
+function createDevTokenCache({ sign, ttlSeconds = 55 * 60, refreshBeforeSeconds = 5 * 60 }) {
+  let current = null; // { token, expiresAtMs }
+
+  function get(minTtlSeconds = 0) {
+    const needMs = Math.max(minTtlSeconds, refreshBeforeSeconds) * 1000;
+    if (!current || current.expiresAtMs - Date.now() < needMs) {
+      const ttl = Math.max(ttlSeconds, minTtlSeconds + refreshBeforeSeconds);
+      current = { token: sign(ttl), expiresAtMs: Date.now() + ttl * 1000 };
+    }
+    return { token: current.token, expiresAt: new Date(current.expiresAtMs).toISOString() };
+  }
+
+  return { get };
+}
+
+module.exports = { parseApiKeys, createClientAuth, createDevTokenCache };
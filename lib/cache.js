@@ -0,0 +1,77 @@
+// In-process LRU cache with per-entry TTL. Pass `file` to persist entries as
+// JSON so a restart (or a retried prompt) doesn't go back to the catalog API.
+
+const fs = require("fs");
+const { logger } = require("./log");
+
+const FLUSH_DELAY_MS = 1_000;
+
+function createLruCache({ max = 500, ttlMs = 6 * 60 * 60 * 1000, file } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }; Map order doubles as recency
+  let flushTimer = null;
+  let hits = 0;
+  let misses = 0;
+
+  if (file) load();
+
+  function load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(saved)) {
+        if (entry?.expiresAt > now) entries.set(key, entry);
+      }
+      evict();
+    } catch (e) {
+      if (e.code !== "ENOENT") logger.warn("Cache file unreadable, starting empty", { file, error: e.message });
+    }
+  }
+
+  function scheduleFlush() {
+    if (!file || flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      try {
+        fs.writeFileSync(file, JSON.stringify(Object.fromEntries(entries)));
+      } catch (e) {
+        logger.warn("Cache file write failed", { file, error: e.message });
+      }
+    }, FLUSH_DELAY_MS);
+    flushTimer.unref?.();
+  }
+
+  function evict() {
+    while (entries.size > max) entries.delete(entries.keys().next().value);
+  }
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) entries.delete(key);
+        misses++;
+        return undefined;
+      }
+      // bump recency
+      entries.delete(key);
+      entries.set(key, entry);
+      hits++;
+      return entry.value;
+    },
+    set(key, value, ttl = ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+      evict();
+      scheduleFlush();
+    },
+    delete(key) {
+      entries.delete(key);
+      scheduleFlush();
+    },
+    stats() {
+      return { size: entries.size, hits, misses };
+    },
+  };
+}
+
+module.exports = { createLruCache };
@@ -0,0 +1,189 @@
+// Record/replay of upstream traffic (OpenAI, Apple Music, Spotify) so a
+// reported mix can be reproduced exactly.
+//   record  every upstream call made while handling a request is written to
+//           <dir>/<requestId>.json with the request and the RNG seed (a timed
+//           scheduled run, which has no request, to <dir>/<runId>.json)
+//   replay  a request sent with a recorded X-Request-Id is served from that
+//           cassette: no network, same seed. A call missing from it (say a
+//           Spotify app token an earlier request fetched) is served from any
+//           other cassette with the same call; calls with no recording fail.
+// Bodies are redacted like log lines, so cassettes hold no tokens or keys.
+// random() is the per-request RNG: seeded from the cassette, X-Random-Seed,
+// or (record mode) a fresh seed; Math.random otherwise.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { logger, redact } = require("./log");
+
+const MODES = ["off", "record", "replay"];
+
+const storage = new AsyncLocalStorage();
+const WHOLE = { maxString: Infinity, maxDepth: Infinity };
+
+// mulberry32: small, fast and good enough for shuffles
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function random() {
+  const rng = storage.getStore()?.rng;
+  return rng ? rng() : Math.random();
+}
+
+function redactBody(body) {
+  if (body === undefined || body === null || body === "") return "";
+  const text = String(body);
+  try {
+    return JSON.stringify(redact(JSON.parse(text), WHOLE));
+  } catch {
+    return redact(text, WHOLE);
+  }
+}
+
+// Host-independent, so a cassette replays whatever LLM_BASE_URL / API bases are set
+function interactionKey(upstream, method, url, body) {
+  const u = new URL(String(url));
+  const hash = crypto.createHash("sha256").update(body).digest("hex").slice(0, 16);
+  return `${upstream} ${method} ${u.pathname}${u.search} ${hash}`;
+}
+
+function createCassettes({ mode = "off", dir = "./data/cassettes" } = {}) {
+  if (!MODES.includes(mode)) throw new Error(`Unknown CASSETTE_MODE "${mode}" (expected one of: ${MODES.join(", ")})`);
+  const enabled = mode !== "off";
+  const fileFor = requestId => path.join(dir, `${requestId}.json`);
+
+  // key -> a recording of that call from any cassette, built on first use
+  let shared = null;
+  function sharedRecording(key) {
+    if (!shared) {
+      shared = new Map();
+      let files = [];
+      try {
+        files = fs.readdirSync(dir).filter(f => f.endsWith(".json"));
+      } catch {}
+      for (const f of files) {
+        for (const it of load(f.slice(0, -5))?.interactions || []) {
+          if (!shared.has(it.key)) shared.set(it.key, it);
+        }
+      }
+    }
+    return shared.get(key);
+  }
+
+  function load(requestId) {
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(requestId), "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") logger.warn("Cassette unreadable", { requestId, error: e.message });
+      return null;
+    }
+  }
+
+  // Recorded interactions, or (replay) the queue of recordings per key
+  function contextFor(requestId, headerSeed) {
+    if (mode === "replay") {
+      const cassette = load(requestId);
+      const pending = new Map();
+      for (const it of cassette?.interactions || []) {
+        if (!pending.has(it.key)) pending.set(it.key, []);
+        pending.get(it.key).push(it);
+      }
+      const seed = headerSeed ?? cassette?.seed ?? null;
+      return { seed, ctx: { requestId, pending, rng: seed === null ? null : createRng(seed) } };
+    }
+    const seed = headerSeed ?? (mode === "record" ? crypto.randomInt(0, 2 ** 31) : null);
+    return { seed, ctx: { requestId, interactions: [], rng: seed === null ? null : createRng(seed) } };
+  }
+
+  function save(ctx, seed, request, status) {
+    if (mode !== "record" || !ctx.interactions.length) return;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(fileFor(ctx.requestId), JSON.stringify({
+        requestId: ctx.requestId,
+        recordedAt: new Date().toISOString(),
+        seed,
+        request,
+        status,
+        interactions: ctx.interactions,
+      }, null, 2));
+    } catch (e) {
+      logger.warn("Cassette write failed", { requestId: ctx.requestId, error: e.message });
+    }
+  }
+
+  function middleware(req, res, next) {
+    const header = req.get("x-random-seed");
+    const headerSeed = /^\d{1,10}$/.test(header || "") ? Number(header) >>> 0 : null;
+    const { ctx, seed } = contextFor(res.get("X-Request-Id"), headerSeed);
+    if (seed !== null) res.set("X-Random-Seed", String(seed));
+    if (mode === "record") {
+      res.on("finish", () => save(ctx, seed, { method: req.method, path: req.originalUrl, body: redact(req.body ?? null, WHOLE) }, res.statusCode));
+    }
+    storage.run(ctx, next);
+  }
+
+  // Work done outside any request (a timed scheduled run) gets a cassette of
+  // its own, named `id`; inside a request it's simply part of that request's
+  async function run(id, fn, request = null) {
+    if (!enabled || storage.getStore()) return fn();
+    const { ctx, seed } = contextFor(id, null);
+    let status = 200;
+    try {
+      return await storage.run(ctx, fn);
+    } catch (e) {
+      status = e.status || 500;
+      throw e;
+    } finally {
+      save(ctx, seed, request, status);
+    }
+  }
+
+  /*
+    Wraps a fetch function (node-fetch or the global one; `Response` must be
+    the matching class) so its calls are recorded or replayed. `upstream`
+    names the service in the cassette (openai, apple, spotify).
+  */
+  function wrapFetch(fetchImpl, { upstream, Response = globalThis.Response }) {
+    if (!enabled) return fetchImpl;
+    return async (url, init = {}) => {
+      const ctx = storage.getStore();
+      if (!ctx) return fetchImpl(url, init); // outside a request (startup)
+      const method = String(init.method || "GET").toUpperCase();
+      const requestBody = redactBody(init.body);
+      const key = interactionKey(upstream, method, url, requestBody);
+
+      if (mode === "replay") {
+        const recorded = ctx.pending.get(key)?.shift() || sharedRecording(key);
+        if (!recorded) {
+          logger.warn("No recorded response", { key });
+          throw new Error(`Replay: no recorded response for ${key}`);
+        }
+        const empty = recorded.status === 204 || recorded.status === 304;
+        return new Response(empty ? null : recorded.body, { status: recorded.status, headers: recorded.headers });
+      }
+
+      const r = await fetchImpl(url, init);
+      const text = await r.text();
+      const headers = { "content-type": r.headers.get("content-type") || "application/json" };
+      const retryAfter = r.headers.get("retry-after");
+      if (retryAfter) headers["retry-after"] = retryAfter;
+      ctx.interactions.push({ key, upstream, method, url: String(url), requestBody, status: r.status, headers, body: redactBody(text) });
+      const empty = r.status === 204 || r.status === 304;
+      return new Response(empty ? null : text, { status: r.status, headers: r.headers });
+    };
+  }
+
+  return { mode, enabled, middleware, run, wrapFetch };
+}
+
+module.exports = { createCassettes, createRng, random, MODES };
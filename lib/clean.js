@@ -0,0 +1,73 @@
+/*
+  Clean-version substitution. When explicit content is off, an explicit
+  match is swapped for its clean counterpart instead of being dropped.
+
+  A candidate counts as the clean counterpart when it is not explicit,
+  matches the explicit track's title and artist, and is tied to it by one of:
+    - "isrc":   same ISRC family (country, registrant and year, e.g. USUM7)
+    - "album":  same album name (the clean edition of the album)
+    - "rating": Apple marks it contentRating "clean" (an edited version)
+*/
+
+const { normalize, scoreMatch } = require("./matching");
+
+const CLEAN_MATCH_CONFIDENCE = 0.85;
+const VIA_BONUS = { isrc: 0.1, album: 0.05, rating: 0 };
+
+// ISRC = CC-XXX-YY-NNNNN; the first 7 characters identify who registered it and when
+function isrcFamily(isrc) {
+  const s = String(isrc || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return s.length === 12 ? s.slice(0, 7) : null;
+}
+
+function cleanVia(candidate, explicitTrack) {
+  const family = isrcFamily(explicitTrack.isrc);
+  if (family && isrcFamily(candidate.isrc) === family) return "isrc";
+  const album = normalize(String(explicitTrack.albumName || "").replace(/\b(explicit|clean)( version)?\b/gi, ""));
+  const candAlbum = normalize(String(candidate.albumName || "").replace(/\b(explicit|clean)( version)?\b/gi, ""));
+  if (album && album === candAlbum) return "album";
+  if (candidate.contentRating === "clean") return "rating";
+  return null;
+}
+
+// Best clean counterpart of `explicitTrack` among `candidates`, annotated with
+// `cleanOf`, or null
+function pickCleanVersion(explicitTrack, candidates, { wantedTags = [] } = {}) {
+  let best = null;
+  for (const candidate of candidates) {
+    if (candidate.contentRating === "explicit" || String(candidate.id) === String(explicitTrack.id)) continue;
+    const via = cleanVia(candidate, explicitTrack);
+    if (!via) continue;
+    const { confidence } = scoreMatch(candidate, explicitTrack, { wantedTags });
+    if (confidence < CLEAN_MATCH_CONFIDENCE) continue;
+    const rank = confidence + VIA_BONUS[via];
+    if (!best || rank > best.rank) best = { candidate, via, rank };
+  }
+  if (!best) return null;
+  return {
+    ...best.candidate,
+    // Keep the original request's match report; the clean edit stands in for it
+    score: explicitTrack.score,
+    match: explicitTrack.match && {
+      ...explicitTrack.match,
+      matched: { artist: best.candidate.artist, title: best.candidate.title },
+    },
+    cleanOf: {
+      id: explicitTrack.id,
+      title: explicitTrack.title,
+      artist: explicitTrack.artist,
+      via: best.via,
+    },
+  };
+}
+
+// Content instruction shared by every prompt that asks the model for songs
+function contentRule({ explicit, strictClean }) {
+  if (explicit) return "Allow explicit content.";
+  if (strictClean) {
+    return "Clean content only. Avoid songs that only exist in an explicit version (no clean or radio edit available).";
+  }
+  return "Clean content only.";
+}
+
+module.exports = { isrcFamily, pickCleanVersion, contentRule, CLEAN_MATCH_CONFIDENCE };
@@ -0,0 +1,22 @@
+// Runs `worker(item, index)` over `items` with at most `limit` calls in flight.
+// Results keep input order; slots never started are left undefined. After each
+// completion `isDone(results)` is checked and, once true, no new items start.
+async function mapConcurrent(items, limit, worker, { isDone } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let stopped = false;
+
+  async function run() {
+    while (!stopped && next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+      if (isDone && isDone(results)) stopped = true;
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: lanes }, run));
+  return results;
+}
+
+module.exports = { mapConcurrent };
@@ -0,0 +1,160 @@
+// Hard constraints checked against catalog metadata: release-year range,
+// allowed/blocked genres, excluded artists/songs, per-artist cap and track
+// length. Tracks whose metadata is missing a field pass that check, and the
+// filter reports the rule as unenforced for them (Spotify tracks never have
+// genres, say).
+
+const { httpError } = require("./httpError");
+
+const norm = s => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+// Whole-word containment, so "drake" matches "Drake feat. Future" but not "Drakeo"
+const containsWords = (haystack, needle) => ` ${norm(haystack)} `.includes(` ${norm(needle)} `);
+
+function list(value, field) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) throw httpError(400, `constraints.${field} must be an array`);
+  return value.slice(0, 50);
+}
+
+function optionalNumber(value, field) {
+  if (value === undefined || value === null) return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw httpError(400, `constraints.${field} must be a non-negative number`);
+  return n;
+}
+
+/*
+  {
+    releaseYears: { min, max },           // either bound optional
+    allowGenres: ["hip hop"],             // track needs at least one matching genre
+    blockGenres: ["christmas"],
+    excludeArtists: ["Drake"],
+    excludeSongs: [{ artist?, title }],   // or plain title strings
+    maxTracksPerArtist: 2,
+    minTrackSeconds: 120,
+    maxTrackSeconds: 420
+  }
+*/
+function parseConstraints(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) throw httpError(400, "constraints must be an object");
+
+  const years = input.releaseYears || {};
+  const c = {
+    minYear: optionalNumber(years.min, "releaseYears.min"),
+    maxYear: optionalNumber(years.max, "releaseYears.max"),
+    allowGenres: list(input.allowGenres, "allowGenres").map(norm).filter(Boolean),
+    blockGenres: list(input.blockGenres, "blockGenres").map(norm).filter(Boolean),
+    excludeArtists: list(input.excludeArtists, "excludeArtists").map(String).filter(Boolean),
+    excludeSongs: list(input.excludeSongs, "excludeSongs")
+      .map(s => (typeof s === "string" ? { title: s } : { artist: s?.artist, title: s?.title }))
+      .filter(s => s.title),
+    maxTracksPerArtist: optionalNumber(input.maxTracksPerArtist, "maxTracksPerArtist"),
+    minTrackMs: optionalNumber(input.minTrackSeconds, "minTrackSeconds"),
+    maxTrackMs: optionalNumber(input.maxTrackSeconds, "maxTrackSeconds"),
+  };
+  if (c.minTrackMs !== null) c.minTrackMs *= 1000;
+  if (c.maxTrackMs !== null) c.maxTrackMs *= 1000;
+  if (c.minYear !== null && c.maxYear !== null && c.minYear > c.maxYear) {
+    throw httpError(400, "constraints.releaseYears.min is after max");
+  }
+  return c;
+}
+
+// Prompt lines so the model aims inside the constraints up front
+function describeConstraints(c) {
+  if (!c) return "";
+  const lines = ["HARD CONSTRAINTS (songs breaking these will be dropped):"];
+  if (c.minYear !== null || c.maxYear !== null) lines.push(`- Released ${c.minYear ?? "any time"} to ${c.maxYear ?? "now"}`);
+  if (c.allowGenres.length) lines.push(`- Genres: ${c.allowGenres.join(", ")} only`);
+  if (c.blockGenres.length) lines.push(`- No ${c.blockGenres.join(", ")}`);
+  if (c.excludeArtists.length) lines.push(`- No songs by (or featuring) ${c.excludeArtists.join(", ")}`);
+  if (c.excludeSongs.length) lines.push(`- Never include: ${c.excludeSongs.map(s => (s.artist ? `${s.artist} – ${s.title}` : s.title)).join("; ")}`);
+  if (c.maxTracksPerArtist !== null) lines.push(`- At most ${c.maxTracksPerArtist} songs per artist`);
+  if (c.minTrackMs !== null || c.maxTrackMs !== null) {
+    lines.push(`- Song length ${c.minTrackMs !== null ? `${c.minTrackMs / 1000}s` : "any"} to ${c.maxTrackMs !== null ? `${c.maxTrackMs / 1000}s` : "any"}`);
+  }
+  return lines.length > 1 ? lines.join("\n") : "";
+}
+
+// Checks that don't depend on the rest of the mix. Returns a rejection or
+// null; rules the track has no data for are pushed onto `unchecked`.
+function checkTrack(t, c, unchecked = []) {
+  const year = Number(String(t.releaseDate || "").slice(0, 4)) || null;
+  if (year === null && (c.minYear !== null || c.maxYear !== null)) unchecked.push("releaseYears");
+  if (year !== null && c.minYear !== null && year < c.minYear) return { reason: "releaseYear", detail: `released ${year}, before ${c.minYear}` };
+  if (year !== null && c.maxYear !== null && year > c.maxYear) return { reason: "releaseYear", detail: `released ${year}, after ${c.maxYear}` };
+
+  const genres = (t.genreNames || []).map(norm);
+  if (genres.length) {
+    const blocked = c.blockGenres.find(g => genres.some(name => containsWords(name, g)));
+    if (blocked) return { reason: "blockedGenre", detail: `genre ${t.genreNames.join(", ")} matches "${blocked}"` };
+    if (c.allowGenres.length && !c.allowGenres.some(g => genres.some(name => containsWords(name, g)))) {
+      return { reason: "genreNotAllowed", detail: `genre ${t.genreNames.join(", ")} not in ${c.allowGenres.join(", ")}` };
+    }
+  } else if (c.allowGenres.length || c.blockGenres.length) {
+    unchecked.push("genres");
+  }
+
+  const artist = c.excludeArtists.find(a => containsWords(t.artist, a));
+  if (artist) return { reason: "excludedArtist", detail: `artist matches "${artist}"` };
+  const song = c.excludeSongs.find(s => norm(s.title) === norm(t.title) && (!s.artist || containsWords(t.artist, s.artist)));
+  if (song) return { reason: "excludedSong", detail: `"${song.title}" is excluded` };
+
+  if (!t.durationMs && (c.minTrackMs !== null || c.maxTrackMs !== null)) unchecked.push("trackSeconds");
+  if (t.durationMs && c.minTrackMs !== null && t.durationMs < c.minTrackMs) return { reason: "tooShort", detail: `${Math.round(t.durationMs / 1000)}s long` };
+  if (t.durationMs && c.maxTrackMs !== null && t.durationMs > c.maxTrackMs) return { reason: "tooLong", detail: `${Math.round(t.durationMs / 1000)}s long` };
+  return null;
+}
+
+/*
+  Per-mix enforcement. check() covers the stateless rules; checkCap() the
+  per-artist cap, given the tracks count() has counted in. Both return the
+  rejection (also recorded for the response) or null when the track is fine,
+  and neither counts anything, so a track another gate turns down uses up no
+  allowance. With null `constraints` nothing is ever rejected. Tracks let
+  through without data for a rule are counted per rule in `unenforced`.
+*/
+function createConstraintFilter(constraints) {
+  const perArtist = new Map();
+  const rejected = [];
+  const unenforced = {};
+
+  function reject(t, rejection, source) {
+    rejected.push({ id: t.id, artist: t.artist, title: t.title, source, ...rejection });
+  }
+
+  return {
+    constraints,
+    rejected,
+
+    check(t, source = "ai") {
+      const unchecked = [];
+      const rejection = constraints ? checkTrack(t, constraints, unchecked) : null;
+      if (rejection) reject(t, rejection, source);
+      else unchecked.forEach(rule => (unenforced[rule] = (unenforced[rule] || 0) + 1));
+      return rejection;
+    },
+
+    checkCap(t, source = "ai") {
+      const cap = constraints?.maxTracksPerArtist;
+      if (cap === null || cap === undefined || (perArtist.get(norm(t.artist)) || 0) < cap) return null;
+      const rejection = { reason: "artistCap", detail: `already ${cap} track(s) by ${t.artist}` };
+      reject(t, rejection, source);
+      return rejection;
+    },
+
+    count(t) {
+      const key = norm(t.artist);
+      perArtist.set(key, (perArtist.get(key) || 0) + 1);
+    },
+
+    report() {
+      const byReason = {};
+      for (const r of rejected) byReason[r.reason] = (byReason[r.reason] || 0) + 1;
+      return { rejectedCount: rejected.length, rejectedByReason: byReason, rejected: rejected.slice(0, 20), unenforced };
+    },
+  };
+}
+
+module.exports = { parseConstraints, describeConstraints, checkTrack, createConstraintFilter };
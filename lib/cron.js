@@ -0,0 +1,175 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week")
+// with *, lists, ranges, steps and month/day names, plus @hourly, @daily,
+// @weekly, @monthly and @yearly. Times are wall-clock times in an IANA time
+// zone. As in cron, when both day fields are restricted either one matching
+// is enough.
+
+const { httpError } = require("./httpError");
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: WEEKDAYS, offset: 0 },
+];
+
+// Enough for "29 February" schedules, which can wait almost 8 years
+const MAX_STEPS = 20_000;
+// 2024-2032: three leap days, so every day a schedule can match comes up twice
+const CYCLE_START = Date.UTC(2024, 0, 1);
+const CYCLE_DAYS = 3288;
+
+function parseValue(text, field) {
+  const name = String(text).toLowerCase();
+  const named = field.names ? field.names.indexOf(name) : -1;
+  const value = named !== -1 ? named + field.offset : /^\d+$/.test(name) ? Number(name) : NaN;
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw httpError(400, `Invalid ${field.name} "${text}" in schedule (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+// -> { values: Set, any } for one field
+function parseField(text, field) {
+  const values = new Set();
+  for (const item of text.split(",")) {
+    const [range, stepText, extra] = item.split("/");
+    if (extra !== undefined || !range) throw httpError(400, `Invalid ${field.name} "${item}" in schedule`);
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw httpError(400, `Invalid step "${stepText}" in schedule`);
+    let from;
+    let to;
+    if (range === "*") {
+      [from, to] = [field.min, field.max];
+    } else if (range.includes("-")) {
+      const [a, b] = range.split("-");
+      [from, to] = [parseValue(a, field), parseValue(b, field)];
+      if (from > to) throw httpError(400, `Invalid ${field.name} range "${range}" in schedule`);
+    } else {
+      from = parseValue(range, field);
+      // "5/15" means from 5 to the end, every 15
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return { values, any: text === "*" };
+}
+
+function checkTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch {
+    throw httpError(400, `Unknown time zone "${timeZone}"`);
+  }
+}
+
+// -> { expression, timeZone, minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+function parseCron(expression, timeZone = "UTC") {
+  if (typeof expression !== "string" || !expression.trim()) {
+    throw httpError(400, `schedule must be a cron expression ("0 7 * * 1-5") or one of: ${Object.keys(MACROS).join(", ")}`);
+  }
+  const text = expression.trim().toLowerCase();
+  const parts = (MACROS[text] || text).split(/\s+/);
+  if (parts.length !== 5) throw httpError(400, `schedule needs 5 fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  checkTimeZone(timeZone);
+  const [minute, hour, day, month, weekday] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  // 7 is Sunday too
+  if (weekday.values.delete(7)) weekday.values.add(0);
+  return {
+    expression: expression.trim(),
+    timeZone,
+    minutes: minute.values,
+    hours: hour.values,
+    days: day.values,
+    months: month.values,
+    weekdays: weekday.values,
+    anyDay: day.any,
+    anyWeekday: weekday.any,
+  };
+}
+
+const formatters = new Map();
+function wallClock(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short",
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+  };
+}
+
+function dayMatches(cron, t) {
+  if (!cron.months.has(t.month)) return false;
+  const byDate = cron.days.has(t.day);
+  const byWeekday = cron.weekdays.has(t.weekday);
+  if (cron.anyDay || cron.anyWeekday) return byDate && byWeekday;
+  return byDate || byWeekday;
+}
+
+// The first matching minute after `after`, or null if the schedule never fires
+function nextRun(cron, after = new Date()) {
+  let ms = Math.floor(after.getTime() / 60_000) * 60_000 + 60_000;
+  for (let i = 0; i < MAX_STEPS; i++) {
+    const t = wallClock(new Date(ms), cron.timeZone);
+    let skip = 0;
+    const toMidnight = 24 * 60 - (t.hour * 60 + t.minute);
+    // Skip to 23:00 first: on a 23-hour DST day midnight comes an hour sooner
+    if (!dayMatches(cron, t)) skip = toMidnight > 60 ? toMidnight - 60 : toMidnight;
+    else if (!cron.hours.has(t.hour)) skip = 60 - t.minute;
+    else if (!cron.minutes.has(t.minute)) skip = 1;
+    if (!skip) return new Date(ms);
+    ms += skip * 60_000;
+  }
+  return null;
+}
+
+// Shortest wall-clock gap between two runs, in minutes, or null for a schedule
+// that never fires. Worked out from the fields instead of by stepping through
+// runs, so it costs the same for "* * * * *" and "0 0 29 2 *": the closest
+// two times in a day, and the closest two matching days across a leap-year
+// cycle. A DST change can make one real gap an hour shorter.
+function shortestInterval(cron) {
+  let dayGap = Infinity;
+  let lastDay = null;
+  for (let d = 0; d < CYCLE_DAYS; d++) {
+    const date = new Date(CYCLE_START + d * 86_400_000);
+    if (!dayMatches(cron, { month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() })) continue;
+    if (lastDay !== null) dayGap = Math.min(dayGap, d - lastDay);
+    lastDay = d;
+  }
+  if (lastDay === null) return null;
+
+  const times = [...cron.hours].flatMap(h => [...cron.minutes].map(m => h * 60 + m)).sort((a, b) => a - b);
+  let shortest = dayGap * 24 * 60 - times[times.length - 1] + times[0];
+  for (let i = 1; i < times.length; i++) shortest = Math.min(shortest, times[i] - times[i - 1]);
+  return shortest;
+}
+
+module.exports = { parseCron, nextRun, shortestInterval, MACROS };
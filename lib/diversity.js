@@ -0,0 +1,174 @@
+// Duplicate and artist-diversity rules for a whole mix.
+//   Duplicates: the same ISRC, or the same song in another version (single,
+//   album, deluxe, remaster, live, clean/explicit), i.e. the same lead artist
+//   and base title as lib/matching.js parses them. Always removed.
+//   maxPerArtist         cap per lead artist (null = no cap); artists the request
+//                        names (prompt, seeds) are exempt, so "a Queen mix" works
+//   minArtistGap         at least this many other tracks between two songs by one artist
+//   sameAlbumBackToBack  false keeps two songs from one album apart
+// check() gates tracks as they join the mix (AI, repair, backfill, spares) and
+// count() counts an accepted one in.
+// finalize() is the whole-mix pass: it drops duplicates the gates never saw
+// (seeds, say) and reorders with as little movement as possible so the
+// spacing rules hold. Pinned tracks are never dropped or moved.
+
+const { httpError } = require("./httpError");
+const { parseTitle, parseArtist, normalize } = require("./matching");
+
+const MAX_GAP = 10;
+
+const artistKey = t => parseArtist(t.artist).names[0] || normalize(t.artist);
+const songIdentity = t => `${artistKey(t)}|${parseTitle(t.title).base}`;
+// "Album (Deluxe Edition)" and "Album - Single" are the same album here
+const albumKey = t => (t.albumName ? parseTitle(t.albumName).base : "");
+const isrcOf = t => String(t.isrc || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+// `diversity: false` lifts the artist/album rules (duplicates still go);
+// `{ maxPerArtist, minArtistGap, sameAlbumBackToBack }` overrides the defaults
+function parseDiversity(input, defaults) {
+  if (input === false) return { maxPerArtist: null, minArtistGap: 0, sameAlbumBackToBack: true };
+  if (input === undefined || input === null || input === true) return defaults;
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw httpError(400, "diversity must be false or { maxPerArtist, minArtistGap, sameAlbumBackToBack }");
+  }
+  let maxPerArtist = defaults.maxPerArtist;
+  if (input.maxPerArtist !== undefined) {
+    maxPerArtist = input.maxPerArtist === null ? null : Number(input.maxPerArtist);
+    if (maxPerArtist !== null && (!Number.isInteger(maxPerArtist) || maxPerArtist < 1)) {
+      throw httpError(400, "diversity.maxPerArtist must be a positive integer or null");
+    }
+  }
+  const minArtistGap = input.minArtistGap === undefined ? defaults.minArtistGap : Number(input.minArtistGap);
+  if (!Number.isInteger(minArtistGap) || minArtistGap < 0 || minArtistGap > MAX_GAP) {
+    throw httpError(400, `diversity.minArtistGap must be an integer from 0 to ${MAX_GAP}`);
+  }
+  const sameAlbumBackToBack = input.sameAlbumBackToBack === undefined ? defaults.sameAlbumBackToBack : input.sameAlbumBackToBack;
+  if (typeof sameAlbumBackToBack !== "boolean") throw httpError(400, "diversity.sameAlbumBackToBack must be a boolean");
+  return { maxPerArtist, minArtistGap, sameAlbumBackToBack };
+}
+
+// Prompt lines so the model spreads artists out up front
+function describeDiversity(rules) {
+  const lines = [];
+  if (rules.maxPerArtist !== null) lines.push(`- At most ${rules.maxPerArtist} song(s) per artist`);
+  if (rules.minArtistGap > 0) lines.push(`- At least ${rules.minArtistGap} other songs between two songs by the same artist`);
+  if (!rules.sameAlbumBackToBack) lines.push("- Never two songs from the same album back to back");
+  lines.push("- Each song once: no second version (single, album, deluxe, remaster, live) of a song already in the list");
+  return ["VARIETY:", ...lines].join("\n");
+}
+
+// Would `t` break a spacing rule if it came right after `placed`?
+function spacingConflict(t, placed, rules) {
+  const artist = artistKey(t);
+  if (rules.minArtistGap > 0 && placed.slice(-rules.minArtistGap).some(p => artistKey(p) === artist)) return "artistGap";
+  const album = albumKey(t);
+  const last = placed[placed.length - 1];
+  if (!rules.sameAlbumBackToBack && album && last && albumKey(last) === album) return "sameAlbum";
+  return null;
+}
+
+/*
+  Greedy reorder: each slot takes the nearest upcoming track that breaks no
+  spacing rule; when none does, order is kept and the slot is counted in
+  `unmet`. `before` is what precedes these tracks in the mix (earlier segments).
+*/
+function arrange(tracks, rules, before = []) {
+  const placed = [...before];
+  const pending = [...tracks];
+  let unmet = 0;
+  while (pending.length) {
+    let i = pending[0].pinned ? 0 : pending.findIndex(t => !t.pinned && !spacingConflict(t, placed, rules));
+    if (i === -1) i = 0;
+    if (spacingConflict(pending[i], placed, rules)) unmet++;
+    placed.push(...pending.splice(i, 1));
+  }
+  const arranged = placed.slice(before.length);
+  return { tracks: arranged, moved: arranged.filter((t, i) => t !== tracks[i]).length, unmet };
+}
+
+// `mentioned`: request text (prompts, seed artist names) whose artists aren't capped
+function createDiversity(rules, { mentioned = [] } = {}) {
+  const named = ` ${mentioned.map(normalize).join(" | ")} `;
+  const capped = artist => rules.maxPerArtist !== null && !(artist && named.includes(` ${artist} `));
+  const isrcs = new Map();
+  const songs = new Map();
+  const perArtist = new Map();
+  const dropped = [];
+  const totals = { reordered: 0, unmet: 0 };
+
+  function drop(t, rejection, source) {
+    dropped.push({ id: t.id, artist: t.artist, title: t.title, source, ...rejection });
+    return rejection;
+  }
+
+  // The rejection for `t` given what's already counted, or null
+  function conflict(t, seen) {
+    const isrc = isrcOf(t);
+    const same = (isrc && seen.isrcs.get(isrc)) || seen.songs.get(songIdentity(t));
+    if (same) return { reason: "duplicate", detail: `same song as ${same.artist} – ${same.title}` };
+    const artist = artistKey(t);
+    const count = seen.perArtist.get(artist) || 0;
+    if (capped(artist) && count >= rules.maxPerArtist) {
+      return { reason: "artistLimit", detail: `already ${count} track(s) by ${t.artist}` };
+    }
+    return null;
+  }
+
+  function count(t, seen) {
+    const isrc = isrcOf(t);
+    if (isrc) seen.isrcs.set(isrc, t);
+    seen.songs.set(songIdentity(t), t);
+    seen.perArtist.set(artistKey(t), (seen.perArtist.get(artistKey(t)) || 0) + 1);
+  }
+
+  return {
+    rules,
+
+    // The rejection (also kept for the report) or null; counts nothing
+    check(t, source = "ai") {
+      const rejection = conflict(t, { isrcs, songs, perArtist });
+      return rejection ? drop(t, rejection, source) : null;
+    },
+
+    count(t) {
+      count(t, { isrcs, songs, perArtist });
+    },
+
+    // Whole-mix pass over `tracks` (following `before`). Recounts from
+    // scratch, since duration fitting may have removed admitted tracks, and
+    // later check() calls (the next segment) then start from the result.
+    finalize(tracks, { before = [] } = {}) {
+      for (const map of [isrcs, songs, perArtist]) map.clear();
+      const seen = { isrcs, songs, perArtist };
+      before.forEach(t => count(t, seen));
+      const kept = [];
+      for (const t of tracks) {
+        const rejection = !t.pinned && conflict(t, seen);
+        if (rejection) {
+          drop(t, rejection, t.source || "ai");
+          continue;
+        }
+        count(t, seen);
+        kept.push(t);
+      }
+      const result = arrange(kept, rules, before);
+      totals.reordered += result.moved;
+      totals.unmet += result.unmet;
+      return result.tracks;
+    },
+
+    report() {
+      const count = reason => dropped.filter(d => d.reason === reason).length;
+      return {
+        rules,
+        duplicatesRemoved: count("duplicate"),
+        artistLimited: count("artistLimit"),
+        reordered: totals.reordered,
+        spacingUnmet: totals.unmet,
+        dropped: dropped.slice(0, 20),
+      };
+    },
+  };
+}
+
+module.exports = { parseDiversity, describeDiversity, createDiversity, arrange, songIdentity, artistKey };
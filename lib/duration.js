@@ -0,0 +1,159 @@
+// Duration fitting: land a mix within a tolerance of its target length (and
+// never past a hard maximum) by adding spares, dropping tracks or swapping one
+// for a spare of a better length. Track order is kept throughout.
+
+const { httpError } = require("./httpError");
+
+const DEFAULT_TOLERANCE_SECONDS = 120;
+const MAX_TOLERANCE_SECONDS = 900;
+const MAX_MOVES = 20;
+
+// `{ toleranceSeconds, maxMinutes }`; maxMinutes is a hard cap (class timer, commute)
+function parseDurationOptions(input, { minutes }) {
+  if (input === undefined || input === null) input = {};
+  if (typeof input !== "object") throw httpError(400, "duration must be { toleranceSeconds, maxMinutes }");
+  const toleranceSeconds = input.toleranceSeconds === undefined ? DEFAULT_TOLERANCE_SECONDS : Number(input.toleranceSeconds);
+  if (!Number.isFinite(toleranceSeconds) || toleranceSeconds < 0 || toleranceSeconds > MAX_TOLERANCE_SECONDS) {
+    throw httpError(400, `duration.toleranceSeconds must be a number from 0 to ${MAX_TOLERANCE_SECONDS}`);
+  }
+  let maxMinutes = null;
+  if (input.maxMinutes !== undefined && input.maxMinutes !== null) {
+    maxMinutes = Number(input.maxMinutes);
+    if (!Number.isFinite(maxMinutes) || maxMinutes <= 0) throw httpError(400, "duration.maxMinutes must be a positive number");
+    if (maxMinutes < Number(minutes)) throw httpError(400, "duration.maxMinutes must be at least the requested minutes");
+  }
+  return {
+    toleranceSeconds,
+    maxMinutes,
+    toleranceMs: toleranceSeconds * 1000,
+    maxMs: maxMinutes === null ? null : maxMinutes * 60_000,
+  };
+}
+
+const lengthOf = tracks => tracks.reduce((sum, t) => sum + (t.durationMs || 0), 0);
+
+// Where a spare goes so positions (and so the energy shape) stay in order
+function insertIndex(tracks, spare) {
+  if (typeof spare.suggestedPosition !== "number") return tracks.length;
+  const i = tracks.findIndex(t => typeof t.suggestedPosition !== "number" || t.suggestedPosition > spare.suggestedPosition);
+  return i === -1 ? tracks.length : i;
+}
+
+const energyOf = t => Number(t.suggestedEnergy) || 0.5;
+
+// Lexicographic comparison of cost tuples
+function isCheaper(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] < b[i];
+  }
+  return false;
+}
+
+/*
+  tracks: the mix in order; spares: resolved tracks that didn't make it.
+  Each step applies the move (add, remove or swap) that gets the length
+  closest to the [target - tolerance, target + tolerance] window, preferring
+  adds/removes over swaps and, for swaps, a spare with a similar energy.
+  `accept(spare)` may veto a spare (constraints, duplicates) before it's used;
+  a veto doesn't count towards MAX_MOVES. Ends with capDuration(), so `maxMs`
+  holds whatever minTracks says, unless pinned tracks alone are longer.
+*/
+function fitDuration({ tracks, spares = [], targetMs, toleranceMs, maxMs = null, minTracks = 1, accept = () => true }) {
+  const selected = [...tracks];
+  const pool = [...spares];
+  const changes = { added: 0, removed: 0, swapped: 0 };
+  const hardMax = maxMs ?? Infinity;
+  const target = Math.min(targetMs, hardMax);
+  const lo = target - toleranceMs;
+  const hi = Math.min(target + toleranceMs, hardMax);
+  const miss = ms => (ms < lo ? lo - ms : ms > hi ? ms - hi : 0);
+
+  for (let moves = 0; moves < MAX_MOVES; moves++) {
+    const total = lengthOf(selected);
+    if (miss(total) === 0) break;
+
+    let best = null;
+    const consider = (move, ms, kind, energyGap = 0) => {
+      if (ms > hardMax && ms >= total) return; // never go further past the cap
+      const cost = [miss(ms), kind, energyGap, Math.abs(ms - target)];
+      if (!best || isCheaper(cost, best.cost)) best = { move, cost };
+    };
+    pool.forEach((spare, j) => consider({ type: "add", j }, total + (spare.durationMs || 0), 0));
+    if (selected.length > minTracks) {
+      selected.forEach((t, i) => {
+        if (!t.pinned) consider({ type: "remove", i }, total - (t.durationMs || 0), 0);
+      });
+    }
+    selected.forEach((t, i) => {
+      if (t.pinned) return;
+      pool.forEach((spare, j) => {
+        const gap = Math.round(Math.abs(energyOf(t) - energyOf(spare)) * 10);
+        consider({ type: "swap", i, j }, total - (t.durationMs || 0) + (spare.durationMs || 0), 1, gap);
+      });
+    });
+
+    if (!best || best.cost[0] >= miss(total)) break;
+    const { move } = best;
+    if (move.type !== "remove") {
+      const [spare] = pool.splice(move.j, 1);
+      if (!accept(spare)) {
+        moves--; // vetoed: drop it from the pool and look again
+        continue;
+      }
+      if (move.type === "add") {
+        selected.splice(insertIndex(selected, spare), 0, spare);
+        changes.added++;
+      } else {
+        selected.splice(move.i, 1);
+        selected.splice(insertIndex(selected, spare), 0, spare);
+        changes.swapped++;
+      }
+    } else {
+      selected.splice(move.i, 1);
+      changes.removed++;
+    }
+  }
+
+  const capped = capDuration(selected, maxMs);
+  changes.removed += capped.removed;
+  return { tracks: capped.tracks, changes };
+}
+
+// Drops unpinned tracks until the mix is no longer than `maxMs`: each time the
+// shortest track whose removal is enough, else the longest one. Also the last
+// step after anything that can change lengths once the mix is fitted.
+function capDuration(tracks, maxMs) {
+  const kept = [...tracks];
+  let removed = 0;
+  if (maxMs === null || maxMs === undefined) return { tracks: kept, removed };
+  let over = lengthOf(kept) - maxMs;
+  while (over > 0) {
+    const unpinned = kept.filter(t => !t.pinned).sort((a, b) => (a.durationMs || 0) - (b.durationMs || 0));
+    if (!unpinned.length) break;
+    const drop = unpinned.find(t => (t.durationMs || 0) >= over) || unpinned[unpinned.length - 1];
+    kept.splice(kept.indexOf(drop), 1);
+    over -= drop.durationMs || 0;
+    removed++;
+  }
+  return { tracks: kept, removed };
+}
+
+// What the response reports about the fit
+function durationReport(tracks, { targetMs, toleranceSeconds, maxMinutes }, changes) {
+  const achievedMs = lengthOf(tracks);
+  const target = maxMinutes === null ? targetMs : Math.min(targetMs, maxMinutes * 60_000);
+  // false only when pinned tracks alone run past the cap
+  const withinMax = maxMinutes === null || achievedMs <= maxMinutes * 60_000;
+  return {
+    targetMinutes: Math.round((targetMs / 60_000) * 10) / 10,
+    achievedMinutes: Math.round((achievedMs / 60_000) * 10) / 10,
+    achievedMs,
+    toleranceSeconds,
+    maxMinutes,
+    withinTolerance: Math.abs(achievedMs - target) <= toleranceSeconds * 1000 && withinMax,
+    withinMax,
+    ...changes,
+  };
+}
+
+module.exports = { parseDurationOptions, fitDuration, capDuration, durationReport, DEFAULT_TOLERANCE_SECONDS };
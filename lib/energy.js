@@ -0,0 +1,173 @@
+// Energy curves: presets / control points, per-track energy estimates for
+// tracks the AI didn't score, and curve-fitting track order.
+
+const { httpError } = require("./httpError");
+const { logger } = require("./log");
+
+// Control points are [x, y]: x = position 0..1 in the mix, y = energy 0.1..0.9
+const PRESETS = {
+  build: [[0, 0.25], [1, 0.85]],
+  "peak-middle": [[0, 0.3], [0.5, 0.85], [1, 0.3]],
+  "wind-down": [[0, 0.8], [1, 0.2]],
+  steady: [[0, 0.6], [1, 0.6]],
+};
+
+const clampEnergy = e => Math.max(0.1, Math.min(0.9, e));
+
+// Accepts a preset name, { preset }, or control points as [[x, y]] / [{ x, y }]
+function parseEnergyCurve(input) {
+  if (input === undefined || input === null || input === "") return null;
+
+  const preset = typeof input === "string" ? input : input.preset;
+  if (preset !== undefined) {
+    const points = PRESETS[String(preset).toLowerCase()];
+    if (!points) throw httpError(400, `Unknown energy curve preset "${preset}" (expected one of: ${Object.keys(PRESETS).join(", ")})`);
+    return { preset: String(preset).toLowerCase(), points };
+  }
+
+  const raw = Array.isArray(input) ? input : input.points;
+  if (!Array.isArray(raw) || !raw.length) throw httpError(400, "energyCurve must be a preset name or a list of control points");
+  const points = raw.map(p => (Array.isArray(p) ? p : [p?.x, p?.y]).map(Number));
+  if (points.some(([x, y]) => !Number.isFinite(x) || !Number.isFinite(y) || x < 0 || x > 1)) {
+    throw httpError(400, "energyCurve points need x in 0..1 and a numeric y");
+  }
+  points.sort((a, b) => a[0] - b[0]);
+  return { preset: null, points: points.map(([x, y]) => [x, clampEnergy(y)]) };
+}
+
+// Linear interpolation between control points; flat beyond the ends
+function curveAt(points, x) {
+  if (x <= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (x <= x1) {
+      const [x0, y0] = points[i - 1];
+      return x1 === x0 ? y1 : y0 + ((y1 - y0) * (x - x0)) / (x1 - x0);
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+function curveTargets(points, n) {
+  return Array.from({ length: n }, (_, i) => round2(curveAt(points, n > 1 ? i / (n - 1) : 0.5)));
+}
+
+// Prompt lines describing the curve for the planning model
+function describeCurve(curve) {
+  const samples = [0, 0.25, 0.5, 0.75, 1].map(x => `${x.toFixed(2)} → ${curveAt(curve.points, x).toFixed(2)}`);
+  return `TARGET ENERGY CURVE${curve.preset ? ` ("${curve.preset}")` : ""} (position → energy): ${samples.join(", ")}`;
+}
+
+/*
+  Reorders tracks so their energies follow the curve as closely as possible.
+  With |energy - target| cost the optimum pairs tracks and slots by rank, so
+  the n-th lowest energy goes to the n-th lowest target (ties keep the current
+  order). Pinned tracks stay at their index and the rest fill the free slots.
+*/
+function fitToCurve(tracks, points) {
+  const targets = curveTargets(points, tracks.length);
+  const out = new Array(tracks.length);
+  const freeSlots = [];
+  const movable = [];
+  tracks.forEach((t, i) => {
+    if (t.pinned) out[i] = t;
+    else {
+      freeSlots.push(i);
+      movable.push({ t, i });
+    }
+  });
+
+  const slotsByTarget = [...freeSlots].sort((a, b) => targets[a] - targets[b] || a - b);
+  const byEnergy = [...movable].sort((a, b) => energyOf(a.t) - energyOf(b.t) || a.i - b.i);
+  slotsByTarget.forEach((slot, rank) => {
+    out[slot] = byEnergy[rank].t;
+  });
+  return out;
+}
+
+function curveReport(curve, tracks) {
+  const target = curveTargets(curve.points, tracks.length);
+  const achieved = tracks.map(t => round2(energyOf(t)));
+  const deviation = tracks.length
+    ? achieved.reduce((sum, e, i) => sum + Math.abs(e - target[i]), 0) / tracks.length
+    : 0;
+  return { preset: curve.preset, points: curve.points, target, achieved, meanDeviation: round2(deviation) };
+}
+
+/*
+  Gives every track without an AI energy an estimate (energySource "estimated").
+  Asks the model once for the whole batch; if that isn't possible, falls back
+  to the median of the AI energies we have (energySource "default").
+*/
+const ENERGY_SCHEMA = {
+  type: "object",
+  properties: {
+    energies: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { index: { type: "integer" }, energy: { type: "number", minimum: 0, maximum: 1 } },
+        required: ["index", "energy"],
+      },
+    },
+  },
+  required: ["energies"],
+};
+
+// `llm` from lib/llm.js; without one (or no configured backend) every estimate is the default
+async function fillMissingEnergies(tracks, { llm, prompt = "" } = {}) {
+  const missing = tracks.filter(t => typeof t.suggestedEnergy !== "number");
+  for (const t of tracks) if (typeof t.suggestedEnergy === "number" && !t.energySource) t.energySource = "ai";
+  if (!missing.length) return tracks;
+
+  let estimates = new Map();
+  if (llm?.available) {
+    try {
+      const out = await llm.generateJson({
+        purpose: "energy",
+        schema: ENERGY_SCHEMA,
+        temperature: 0.2,
+        system: `
+You rate the energy of songs for a playlist described as "${prompt}". Energy is 0.1 (ambient, very calm) to 0.9 (peak intensity).
+Return STRICT JSON: { "energies": [ { "index": number, "energy": number } ] } with one entry per song listed.
+Return only the JSON object, no other text.`.trim(),
+        user: missing.map((t, i) => `${i}. ${t.artist} – ${t.title}`).join("\n"),
+      });
+      for (const e of out.energies) estimates.set(e.index, clampEnergy(e.energy));
+    } catch (e) {
+      logger.warn("Energy estimation failed, using defaults", { error: e.message });
+    }
+  }
+
+  const fallback = median(tracks.map(t => t.suggestedEnergy).filter(e => typeof e === "number")) ?? 0.5;
+  missing.forEach((t, i) => {
+    const estimate = estimates.get(i);
+    t.suggestedEnergy = estimate ?? fallback;
+    t.energySource = estimate !== undefined ? "estimated" : "default";
+  });
+  return tracks;
+}
+
+function energyOf(t) {
+  return typeof t.suggestedEnergy === "number" ? t.suggestedEnergy : 0.5;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+module.exports = {
+  PRESETS,
+  parseEnergyCurve,
+  curveAt,
+  curveTargets,
+  describeCurve,
+  fitToCurve,
+  curveReport,
+  fillMissingEnergies,
+};
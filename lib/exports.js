@@ -0,0 +1,160 @@
+// Mix exports for DJ software and other players: extended M3U8, XSPF, JSPF
+// (XSPF as JSON) and CSV. Each carries the mix title and description, and per
+// track the artist, title, album, duration, ISRC, catalog URL, suggested
+// energy and the AI's rationale (as comments, annotations or columns).
+
+const { httpError } = require("./httpError");
+
+// Namespace for the fields XSPF/JSPF have no element for
+const META_ENERGY = "urn:vibecraft:energy";
+const META_ISRC = "urn:vibecraft:isrc";
+
+function catalogUrl(provider, storefront, id) {
+  if (!id) return "";
+  if (provider === "spotify") return `https://open.spotify.com/track/${encodeURIComponent(id)}`;
+  return `https://music.apple.com/${storefront || "us"}/song/${encodeURIComponent(id)}`;
+}
+
+// Shared per-track view; missing fields are null so every format can skip them
+function exportTracks(mix) {
+  return mix.tracks.map((t, i) => ({
+    position: i + 1,
+    title: t.title || "",
+    artist: t.artist || "",
+    album: t.albumName || null,
+    durationMs: t.durationMs || null,
+    isrc: t.isrc || null,
+    url: t.url || catalogUrl(mix.provider, mix.storefront, t.id) || null,
+    image: t.artwork?.url ? t.artwork.url.replace("{w}", "600").replace("{h}", "600") : null,
+    energy: typeof t.suggestedEnergy === "number" ? Math.round(t.suggestedEnergy * 100) / 100 : null,
+    rationale: t.rationale || null,
+  }));
+}
+
+// Comments and #EXTINF titles have to stay on one line
+const oneLine = s => String(s ?? "").replace(/[\r\n]+/g, " ").trim();
+
+function toM3u8(mix) {
+  const lines = ["#EXTM3U", `#PLAYLIST:${oneLine(mix.title)}`];
+  if (mix.description) lines.push(`# ${oneLine(mix.description)}`);
+  for (const t of exportTracks(mix)) {
+    lines.push("");
+    const seconds = t.durationMs ? Math.round(t.durationMs / 1000) : -1;
+    lines.push(`#EXTINF:${seconds},${oneLine(t.artist)} - ${oneLine(t.title)}`);
+    if (t.album) lines.push(`#EXTALB:${oneLine(t.album)}`);
+    if (t.isrc) lines.push(`# ISRC: ${t.isrc}`);
+    if (t.energy !== null) lines.push(`# Energy: ${t.energy}`);
+    if (t.rationale) lines.push(`# ${oneLine(t.rationale)}`);
+    lines.push(t.url || `${oneLine(t.artist)} - ${oneLine(t.title)}`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+const escapeXml = s => String(s)
+  // Control characters aren't allowed in XML 1.0, even escaped
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+function toXspf(mix) {
+  const el = (name, value, indent) => (value === null || value === undefined || value === "" ? [] : [`${indent}<${name}>${escapeXml(value)}</${name}>`]);
+  const meta = (rel, value, indent) => (value === null ? [] : [`${indent}<meta rel="${rel}">${escapeXml(value)}</meta>`]);
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<playlist version="1" xmlns="http://xspf.org/ns/0/">`,
+    ...el("title", mix.title, "  "),
+    ...el("creator", "VibeCraft", "  "),
+    ...el("annotation", mix.description, "  "),
+    ...el("date", mix.createdAt, "  "),
+    "  <trackList>",
+  ];
+  for (const t of exportTracks(mix)) {
+    lines.push(
+      "    <track>",
+      ...el("location", t.url, "      "),
+      ...el("title", t.title, "      "),
+      ...el("creator", t.artist, "      "),
+      ...el("album", t.album, "      "),
+      ...el("trackNum", t.position, "      "),
+      ...el("duration", t.durationMs, "      "),
+      ...el("annotation", t.rationale, "      "),
+      ...el("image", t.image, "      "),
+      ...meta(META_ISRC, t.isrc, "      "),
+      ...meta(META_ENERGY, t.energy, "      "),
+      "    </track>"
+    );
+  }
+  lines.push("  </trackList>", "</playlist>");
+  return `${lines.join("\n")}\n`;
+}
+
+// JSPF: XSPF's elements as JSON, with location as an array and meta as [{ rel: value }]
+function toJspf(mix) {
+  const drop = obj => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== null && v !== undefined && v !== ""));
+  const playlist = drop({
+    title: mix.title,
+    creator: "VibeCraft",
+    annotation: mix.description,
+    date: mix.createdAt,
+    track: exportTracks(mix).map(t => drop({
+      location: t.url ? [t.url] : null,
+      title: t.title,
+      creator: t.artist,
+      album: t.album,
+      trackNum: t.position,
+      duration: t.durationMs,
+      annotation: t.rationale,
+      image: t.image,
+      meta: [
+        ...(t.isrc ? [{ [META_ISRC]: t.isrc }] : []),
+        ...(t.energy !== null ? [{ [META_ENERGY]: t.energy }] : []),
+      ],
+    })),
+  });
+  return `${JSON.stringify({ playlist }, null, 2)}\n`;
+}
+
+const CSV_COLUMNS = ["position", "artist", "title", "album", "duration", "duration_ms", "energy", "isrc", "url", "rationale", "mix_title", "mix_description"];
+
+// Quoted when needed; text starting like a formula is prefixed so spreadsheets don't evaluate it
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let s = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function clock(ms) {
+  if (!ms) return "";
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+// One row per track; the mix title and description repeat so the file stays a plain table
+function toCsv(mix) {
+  const rows = [CSV_COLUMNS];
+  for (const t of exportTracks(mix)) {
+    rows.push([t.position, t.artist, t.title, t.album, clock(t.durationMs), t.durationMs, t.energy, t.isrc, t.url, t.rationale, mix.title, mix.description]);
+  }
+  return `${rows.map(r => r.map(csvField).join(",")).join("\r\n")}\r\n`;
+}
+
+const FORMATS = {
+  m3u8: { contentType: "audio/x-mpegurl; charset=utf-8", extension: "m3u8", render: toM3u8 },
+  xspf: { contentType: "application/xspf+xml; charset=utf-8", extension: "xspf", render: toXspf },
+  jspf: { contentType: "application/json; charset=utf-8", extension: "jspf", render: toJspf },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv", render: toCsv },
+};
+
+// -> { contentType, filename, body }
+function renderExport(mix, format) {
+  const name = String(format || "").toLowerCase();
+  const spec = Object.hasOwn(FORMATS, name) ? FORMATS[name] : null;
+  if (!spec) throw httpError(400, `format must be one of: ${Object.keys(FORMATS).join(", ")}`);
+  const slug = String(mix.title || "vibecraft-mix").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60) || "vibecraft-mix";
+  return { contentType: spec.contentType, filename: `${slug}.${spec.extension}`, body: spec.render(mix) };
+}
+
+module.exports = { renderExport, catalogUrl, FORMATS };
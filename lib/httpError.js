@@ -0,0 +1,9 @@
+// Error with an HTTP status for the route handlers' `res.status(e.status || 500)`.
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details !== undefined) err.details = details;
+  return err;
+}
+
+module.exports = { httpError };
@@ -0,0 +1,196 @@
+// Model backends for the JSON prompts, with schema validation and repair.
+//   openai             OpenAI chat completions with structured outputs
+//   openai-compatible  any server speaking the same API (LLM_BASE_URL: Ollama, vLLM, llama.cpp, ...)
+//   fixture            deterministic answers for offline tests: LLM_FIXTURE_FILE maps a
+//                      purpose (plan, repair, swap, refine, energy) to a response, or to a
+//                      list of responses served in order; anything else is derived from the schema
+// generateJson() validates every answer against the call's schema. An invalid
+// answer gets a repair round (the model sees its reply and the errors); if it
+// is still invalid the call fails with a 502 instead of guessing.
+
+const fs = require("fs");
+const { OpenAI, APIConnectionTimeoutError } = require("openai");
+const { httpError } = require("./httpError");
+const { validate, toStrictSchema } = require("./schema");
+const { logger } = require("./log");
+const { metrics } = require("./metrics");
+
+const BACKENDS = ["openai", "openai-compatible", "fixture"];
+const DEFAULT_MODEL = "gpt-4o-mini";
+const MAX_REPORTED_ERRORS = 5;
+
+// One suggested song; `extra` adds call-specific fields (position, slot).
+// Energy is range-checked when given; callers default it when it's missing.
+function songSchema(extra = {}, required = []) {
+  return {
+    type: "object",
+    properties: {
+      artist: { type: "string", minLength: 1 },
+      title: { type: "string", minLength: 1 },
+      energy: { type: "number", minimum: 0, maximum: 1 },
+      rationale: { type: "string" },
+      ...extra,
+    },
+    required: ["artist", "title", ...required],
+  };
+}
+
+function backendError(message, reason, cause) {
+  const err = httpError(502, message);
+  err.reason = reason;
+  if (cause) err.cause = cause;
+  return err;
+}
+
+function createOpenAIBackend({ name, apiKey, baseURL, model, responseFormat, timeoutMs, fetch }) {
+  const client = new OpenAI({ apiKey: apiKey || "not-needed", baseURL, timeout: timeoutMs, maxRetries: 2, fetch });
+  return {
+    name,
+    model,
+    async complete({ purpose, schema, messages, temperature }) {
+      let completion;
+      try {
+        completion = await client.chat.completions.create({
+          model,
+          temperature,
+          messages,
+          response_format: responseFormat === "json_object"
+            ? { type: "json_object" }
+            : { type: "json_schema", json_schema: { name: purpose, schema: toStrictSchema(schema), strict: true } },
+        });
+      } catch (e) {
+        if (e instanceof APIConnectionTimeoutError) throw backendError("Model request timed out", "timeout", e);
+        if (e.status) throw backendError(`Model request failed (${e.status})`, `http_${e.status}`, e);
+        throw backendError(`Model request failed (${e.message})`, "network", e);
+      }
+      const message = completion.choices?.[0]?.message;
+      if (message?.refusal) throw backendError(`Model refused the request: ${message.refusal}`, "refusal");
+      return message?.content || "";
+    },
+  };
+}
+
+// A value that satisfies `schema`; arrays get a few items with spread-out numbers
+function exampleFromSchema(schema, key = "value", i = 0, n = 1) {
+  const type = [].concat(schema.type || "string").find(t => t !== "null");
+  if (schema.enum) return schema.enum[0];
+  if (type === "object") {
+    return Object.fromEntries(Object.entries(schema.properties || {}).map(([k, sub]) => [k, exampleFromSchema(sub, k, i, n)]));
+  }
+  if (type === "array") {
+    const count = Math.min(schema.maxItems ?? Infinity, Math.max(schema.minItems || 0, 8));
+    return Array.from({ length: count }, (_, j) => exampleFromSchema(schema.items || {}, key, j, count));
+  }
+  if (type === "integer") return (schema.minimum ?? 0) + i;
+  if (type === "number") {
+    const lo = schema.minimum ?? 0;
+    const hi = schema.maximum ?? 1;
+    return Math.round((lo + ((hi - lo) * (i + 1)) / (n + 1)) * 1000) / 1000;
+  }
+  if (type === "boolean") return false;
+  return `Fixture ${key} ${i + 1}`;
+}
+
+function createFixtureBackend({ file }) {
+  const fixtures = file ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const served = new Map();
+  return {
+    name: "fixture",
+    model: "fixture",
+    async complete({ purpose, schema }) {
+      let value = fixtures[purpose];
+      if (Array.isArray(value)) {
+        const n = served.get(purpose) || 0;
+        served.set(purpose, n + 1);
+        value = value[Math.min(n, value.length - 1)];
+      }
+      if (value === undefined) value = exampleFromSchema(schema);
+      return typeof value === "string" ? value : JSON.stringify(value);
+    },
+  };
+}
+
+function parseReply(text, schema) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    return { value: null, errors: [{ path: "$", message: "is not valid JSON" }], reason: "invalid_json" };
+  }
+  const errors = validate(schema, value);
+  return { value, errors, reason: "invalid_output" };
+}
+
+/*
+  createLlm({ backend, apiKey, baseURL, model, responseFormat, maxRepairs, fixtureFile, timeoutMs, fetch })
+  -> { name, available, generateJson({ purpose, system, user, schema, temperature }) }
+  `available` is false for an OpenAI backend without a key (or a compatible
+  one without a base URL); generateJson then fails with 503. `fetch` replaces
+  the SDK's fetch (record/replay).
+*/
+function createLlm({
+  backend = "openai",
+  apiKey,
+  baseURL,
+  model = DEFAULT_MODEL,
+  responseFormat = "json_schema",
+  maxRepairs = 1,
+  fixtureFile,
+  timeoutMs = 60_000,
+  fetch,
+} = {}) {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown LLM_BACKEND "${backend}" (expected one of: ${BACKENDS.join(", ")})`);
+  }
+  let unavailable = null;
+  if (backend === "openai" && !apiKey) unavailable = "OPENAI_API_KEY is not configured";
+  if (backend === "openai-compatible" && !baseURL) unavailable = "LLM_BASE_URL is required for LLM_BACKEND=openai-compatible";
+
+  const impl = backend === "fixture"
+    ? createFixtureBackend({ file: fixtureFile })
+    : createOpenAIBackend({ name: backend, apiKey, baseURL, model, responseFormat, timeoutMs, fetch });
+
+  async function generateJson({ purpose, system, user, schema, temperature = 0.7 }) {
+    if (unavailable) throw httpError(503, unavailable);
+    const messages = [
+      { role: "system", content: system },
+      { role: "user", content: user },
+    ];
+    const labels = { purpose, backend: impl.name };
+
+    for (let attempt = 0; ; attempt++) {
+      const endTimer = metrics.openaiRequestDuration.startTimer(labels);
+      let text;
+      try {
+        text = await impl.complete({ purpose, schema, messages, temperature });
+        endTimer({ outcome: "ok" });
+      } catch (e) {
+        endTimer({ outcome: "error" });
+        metrics.openaiFailures.inc({ ...labels, reason: e.reason || "error" });
+        logger.error("Model request failed", { ...labels, error: e.message, status: e.cause?.status });
+        throw e.status ? e : backendError(`Model request failed (${e.message})`, "error", e);
+      }
+
+      const { value, errors, reason } = parseReply(text, schema);
+      if (!errors.length) return value;
+
+      metrics.openaiFailures.inc({ ...labels, reason });
+      const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+      logger.warn("Model output failed validation", { ...labels, attempt, errors: shown, raw: text.slice(0, 200) });
+      if (attempt >= maxRepairs) {
+        throw httpError(502, `Model returned invalid output for ${purpose}`, { validationErrors: shown.map(e => `${e.path} ${e.message}`) });
+      }
+      messages.push(
+        { role: "assistant", content: text },
+        {
+          role: "user",
+          content: `That reply does not match the required JSON format:\n${shown.map(e => `- ${e.path} ${e.message}`).join("\n")}\nReturn the corrected JSON object only.`,
+        }
+      );
+    }
+  }
+
+  return { name: impl.name, model: impl.model, available: !unavailable, generateJson };
+}
+
+module.exports = { createLlm, songSchema, exampleFromSchema, BACKENDS };
@@ -0,0 +1,89 @@
+// Structured JSON logs, one object per line. Anything that looks like a
+// credential is redacted before it's written: values under token/secret/key
+// fields, JWTs, OpenAI keys and PEM blocks. Lines written while handling a
+// request carry its requestId (see withLogContext).
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = "[redacted]";
+const MAX_DEPTH = 6;
+const MAX_STRING = 2000;
+
+const SECRET_KEY = /token|secret|password|passwd|authorization|cookie|api[-_]?key|private[-_]?key/i;
+const SECRET_PATTERNS = [
+  /eyJ[\w-]{5,}\.[\w-]{5,}\.[\w-]*/g, // JWT (developer, Music-User and device tokens)
+  /\bsk-[\w-]{8,}/g, // OpenAI keys
+  /-----BEGIN [A-Z ]+-----[\s\S]*?(-----END [A-Z ]+-----|$)/g,
+  /\bBearer\s+[\w.~+/-]+=*/gi,
+];
+
+const context = new AsyncLocalStorage();
+
+function redactString(s, maxString = MAX_STRING) {
+  let out = s.length > maxString ? `${s.slice(0, maxString)}…` : s;
+  for (const pattern of SECRET_PATTERNS) out = out.replace(pattern, REDACTED);
+  return out;
+}
+
+function serializeError(e) {
+  return {
+    message: redactString(String(e.message || e)),
+    ...(e.status ? { status: e.status } : {}),
+    ...(e.status && e.status < 500 ? {} : { stack: redactString(String(e.stack || "")) }),
+  };
+}
+
+// Log lines are also cut to size; pass { maxString: Infinity, maxDepth: Infinity } to keep values whole
+function redact(value, { maxString = MAX_STRING, maxDepth = MAX_DEPTH } = {}, depth = 0) {
+  if (typeof value === "string") return redactString(value, maxString);
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== "object") return value;
+  if (depth >= maxDepth) return "[truncated]";
+  const limits = { maxString, maxDepth };
+  if (Array.isArray(value)) return value.map(v => redact(v, limits, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = SECRET_KEY.test(k) && v !== null && v !== undefined && typeof v !== "boolean" ? REDACTED : redact(v, limits, depth + 1);
+  }
+  return out;
+}
+
+// LOG_LEVEL is read per call, so a .env loaded after this module still applies
+const threshold = () => LEVELS[String(process.env.LOG_LEVEL || "").toLowerCase()] ?? LEVELS.info;
+
+function createLogger({ fields = {}, write = line => process.stdout.write(`${line}\n`) } = {}) {
+  function log(level, msg, extra) {
+    if (LEVELS[level] < threshold()) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...context.getStore(),
+      ...fields,
+      ...redact(extra instanceof Error ? { err: extra } : extra || {}),
+    };
+    try {
+      write(JSON.stringify(entry));
+    } catch {
+      write(JSON.stringify({ time: entry.time, level, msg, note: "log fields not serializable" }));
+    }
+  }
+
+  return {
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    child: more => createLogger({ fields: { ...fields, ...more }, write }),
+  };
+}
+
+const logger = createLogger();
+
+// Runs `fn` with `fields` (e.g. { requestId }) attached to every log line inside it
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+module.exports = { logger, createLogger, withLogContext, redact };
@@ -0,0 +1,237 @@
+/*
+  Version-aware song matching.
+
+  Titles are split into a base title, version tags and featured artists;
+  artist credits are split into individual names ("feat.", "&", "and", "x",
+  ","). Base titles and names are compared by edit distance. Versions the
+  request didn't ask for (live, karaoke, covers, ...) are penalised so the
+  original studio recording wins.
+
+  Examples (requested → candidate ⇒ outcome):
+    "Dreams" / Fleetwood Mac  → "Dreams (2004 Remaster)" / Fleetwood Mac       ⇒ ~0.98, remaster is fine
+    "Dreams" / Fleetwood Mac  → "Dreams (Live)" / Fleetwood Mac                ⇒ ~0.75, loses to the studio cut
+    "Dreams" / Fleetwood Mac  → "Dreams - Karaoke Version" / Sing King         ⇒ rejected
+    "Dreams (Live)" / ...     → "Dreams (Live)" / Fleetwood Mac                ⇒ 1.0, live was asked for
+    "Crazy in Love" / Beyoncé & Jay-Z → "Crazy In Love (feat. JAY-Z)" / Beyoncé ⇒ ~1.0, featured credit
+    "Hey Ya!" / OutKast       → "Hey Ya" / Outkast                             ⇒ 1.0, punctuation/case
+    "Bohemian Rhapsody" / Queen → same title / "Queen Tribute Band"            ⇒ rejected as a cover
+*/
+
+const TAG_PATTERNS = [
+  ["karaoke", /\bkaraoke\b|\bsing ?along\b|\bin the style of\b|\bmade famous by\b/],
+  ["instrumental", /\binstrumental\b/],
+  ["sped up", /\bsped ?up\b|\bspeed ?up\b|\bnightcore\b/],
+  ["slowed", /\bslowed\b|\breverb\b/],
+  ["live", /\blive\b/],
+  ["acoustic", /\bacoustic\b|\bunplugged\b/],
+  ["remix", /\bremix\b|\brmx\b|\bmix\b|\bre ?edit\b|\bdub\b|\bvip\b|\brework\b|\bbootleg\b/],
+  ["demo", /\bdemo\b/],
+  ["cover", /\bcover\b|\btribute\b/],
+  ["remaster", /\bremaster(ed)?\b|\bmono\b|\bstereo\b|\banniversary\b|\bdeluxe\b/],
+  ["radio edit", /\bradio edit\b|\bsingle version\b|\balbum version\b|\bclean\b|\bexplicit\b/],
+];
+
+// How much an unrequested version costs; remasters and radio edits are the same recording
+const TAG_PENALTY = {
+  karaoke: 0.7,
+  cover: 0.6,
+  instrumental: 0.45,
+  "sped up": 0.45,
+  slowed: 0.45,
+  live: 0.25,
+  remix: 0.25,
+  acoustic: 0.2,
+  demo: 0.2,
+  remaster: 0.02,
+  "radio edit": 0.02,
+};
+const MISSING_TAG_PENALTY = 0.15;
+
+const TRIBUTE_ARTIST = /\btribute\b|\bkaraoke\b|\bcover(s)?\b|\bhit crew\b|\bsing king\b|\blullaby\b|\bstring quartet\b|\bpiano (covers|tribute)\b|\bin the style of\b|\bmade famous\b|\bsound ?alike\b|\bparty (band|hits)\b/;
+
+const FEAT = /\s*(?:\(|\[)?\b(?:feat\.?|ft\.?|featuring)\s+([^)\]]+)(?:\)|\])?/i;
+// "with" is only a credit in brackets: "With or Without You", "Dance With Me"
+const WITH = /\s*[([]\s*with\s+([^)\]]+)[)\]]/i;
+
+function normalize(str) {
+  return String(str || "")
+    .normalize("NFKD")
+    .replace(/[̀-ͯ]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/['’`]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function splitArtists(str) {
+  return String(str || "")
+    // "x" only between two names, so the artist "X" stays one name
+    .split(/\s*(?:,|&|\band\b|(?<=\S)\s+x\s+(?=\S)|\bfeat\.?|\bft\.?|\bfeaturing\b|\bwith\b|\bvs\.?)\s*/i)
+    .map(normalize)
+    .filter(Boolean);
+}
+
+// "Song (feat. X) [Live] - 2011 Remaster" → { base: "song", tags: ["live", "remaster"], featured: ["x"] }
+function parseTitle(title) {
+  let rest = String(title || "");
+  const featured = [];
+  const tags = new Set();
+
+  let m;
+  while ((m = rest.match(FEAT) || rest.match(WITH))) {
+    featured.push(...splitArtists(m[1]));
+    rest = rest.replace(m[0], " ");
+  }
+
+  const parts = [];
+  rest = rest.replace(/[([]([^)\]]*)[)\]]/g, (_, inner) => {
+    parts.push(inner);
+    return " ";
+  });
+  // " - Live at Wembley", " - 2011 Remaster"
+  const dash = rest.match(/\s[-–—]\s(.+)$/);
+  if (dash) {
+    parts.push(dash[1]);
+    rest = rest.slice(0, dash.index);
+  }
+
+  for (const part of parts) {
+    // "Original Mix" is how dance labels name the original
+    const p = normalize(part).replace(/\boriginal mix\b/g, "");
+    for (const [tag, re] of TAG_PATTERNS) if (re.test(p)) tags.add(tag);
+  }
+
+  return { base: normalize(rest), tags: [...tags], featured };
+}
+
+function parseArtist(artist) {
+  const names = splitArtists(artist);
+  return { names, tribute: TRIBUTE_ARTIST.test(normalize(artist)) };
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 0..1: edit-distance ratio, lifted when one string's words contain the other's.
+// With the right artist a contained title scores 0.88, under the exact-match
+// threshold (0.9 in index.js): "Dance" isn't "Dance With Me".
+const CONTAINMENT_SCORE = 0.8;
+
+function stringSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const ratio = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  const wa = new Set(a.split(" "));
+  const wb = new Set(b.split(" "));
+  const shared = [...wa].filter(w => wb.has(w)).length;
+  const containment = shared / Math.min(wa.size, wb.size);
+  return Math.max(ratio, containment === 1 ? CONTAINMENT_SCORE : 0);
+}
+
+// Share of requested artist names found (fuzzily) among the candidate's credits
+function artistSimilarity(requested, candidateNames) {
+  if (!requested.length || !candidateNames.length) return 0;
+  const best = name => Math.max(...candidateNames.map(c => stringSimilarity(name, c)));
+  const scores = requested.map(best);
+  // The lead artist matters most; extra requested names only add to it
+  const lead = scores[0];
+  const rest = scores.length > 1 ? scores.slice(1).reduce((s, x) => s + x, 0) / (scores.length - 1) : lead;
+  return Math.max(lead * 0.85 + rest * 0.15, stringSimilarity(requested.join(" "), candidateNames.join(" ")));
+}
+
+// Version tags a prompt explicitly asks for ("live sets", "acoustic covers", ...);
+// negated mentions like "no remixes" don't count
+function wantedVersionTags(prompt) {
+  const p = normalize(prompt).replace(/\b(no|not|without|avoid|skip)( any)? \w+( \w+)?/g, " ");
+  const wanted = [];
+  for (const [tag, re] of TAG_PATTERNS) {
+    if (tag === "remaster" || tag === "radio edit") continue;
+    if (tag === "remix" ? /\bremix(es)?\b/.test(p) : re.test(p)) wanted.push(tag);
+  }
+  return wanted;
+}
+
+/*
+  Scores one catalog candidate against the requested song. Returns
+  { confidence, titleScore, artistScore, tags, penalties }.
+*/
+function scoreMatch(candidate, requested, { wantedTags = [] } = {}) {
+  const want = parseTitle(requested.title);
+  const got = parseTitle(candidate.title);
+  const wanted = new Set([...wantedTags, ...want.tags]);
+
+  const reqArtist = parseArtist(requested.artist);
+  const candArtist = parseArtist(candidate.artist);
+  const requestedNames = [...reqArtist.names, ...want.featured];
+  const candidateNames = [...candArtist.names, ...got.featured];
+
+  const titleScore = stringSimilarity(want.base, got.base);
+  const artistScore = artistSimilarity(requestedNames, candidateNames);
+
+  const penalties = [];
+  for (const tag of got.tags) {
+    if (!wanted.has(tag) && TAG_PENALTY[tag]) penalties.push({ tag, penalty: TAG_PENALTY[tag] });
+  }
+  for (const tag of wanted) {
+    if (!got.tags.includes(tag) && TAG_PENALTY[tag] >= 0.2) penalties.push({ tag: `missing ${tag}`, penalty: MISSING_TAG_PENALTY });
+  }
+  if (candArtist.tribute && !reqArtist.tribute && !wanted.has("cover") && !wanted.has("karaoke")) {
+    penalties.push({ tag: "cover artist", penalty: TAG_PENALTY.cover });
+  }
+
+  // Same title by a clearly different artist is a different song
+  const artistGate = artistScore < 0.5 ? 0.5 : 1;
+  const raw = (titleScore * 0.6 + artistScore * 0.4) * artistGate - penalties.reduce((s, p) => s + p.penalty, 0);
+  return {
+    confidence: Math.round(Math.max(0, Math.min(1, raw)) * 1000) / 1000,
+    titleScore: Math.round(titleScore * 1000) / 1000,
+    artistScore: Math.round(artistScore * 1000) / 1000,
+    tags: got.tags,
+    penalties,
+  };
+}
+
+// Best candidate at or above `minConfidence`, annotated with `score` and `match`
+function pickBestMatch(candidates, requested, { wantedTags = [], minConfidence = 0.5 } = {}) {
+  let best = null;
+  for (const candidate of candidates) {
+    const scored = scoreMatch(candidate, requested, { wantedTags });
+    if (scored.confidence < minConfidence) continue;
+    if (!best || scored.confidence > best.scored.confidence) best = { candidate, scored };
+  }
+  if (!best) return null;
+  return {
+    ...best.candidate,
+    score: best.scored.confidence,
+    match: {
+      confidence: best.scored.confidence,
+      requested: { artist: requested.artist, title: requested.title },
+      matched: { artist: best.candidate.artist, title: best.candidate.title },
+      versionTags: best.scored.tags,
+    },
+  };
+}
+
+module.exports = {
+  normalize,
+  parseTitle,
+  parseArtist,
+  levenshtein,
+  stringSimilarity,
+  wantedVersionTags,
+  scoreMatch,
+  pickBestMatch,
+};
@@ -0,0 +1,122 @@
+// Minimal Prometheus registry (text exposition format 0.0.4): counters,
+// histograms and gauges read at scrape time. The app's metrics are defined at
+// the bottom and shared by every module, like prom-client's default registry.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const labelKey = (labelNames, labels = {}) => labelNames.map(n => String(labels[n] ?? "")).join("\u0000");
+
+const escapeLabel = v => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function formatLabels(labelNames, values, extra = []) {
+  const pairs = [...labelNames.map((n, i) => [n, values[i]]), ...extra].filter(([, v]) => v !== "");
+  return pairs.length ? `{${pairs.map(([n, v]) => `${n}="${escapeLabel(v)}"`).join(",")}}` : "";
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter({ name, help, labelNames = [] }) {
+    const values = new Map();
+    metrics.push({
+      name, help, type: "counter",
+      lines: () => [...values].map(([k, v]) => `${name}${formatLabels(labelNames, k.split("\u0000"))} ${v}`),
+    });
+    return {
+      inc(labels, n = 1) {
+        const k = labelKey(labelNames, labels);
+        values.set(k, (values.get(k) || 0) + n);
+      },
+    };
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const series = new Map(); // key -> { counts per bucket, sum, count }
+    metrics.push({
+      name, help, type: "histogram",
+      lines: () => [...series].flatMap(([k, s]) => {
+        const values = k.split("\u0000");
+        return [
+          ...buckets.map((b, i) => `${name}_bucket${formatLabels(labelNames, values, [["le", String(b)]])} ${s.counts[i]}`),
+          `${name}_bucket${formatLabels(labelNames, values, [["le", "+Inf"]])} ${s.count}`,
+          `${name}_sum${formatLabels(labelNames, values)} ${s.sum}`,
+          `${name}_count${formatLabels(labelNames, values)} ${s.count}`,
+        ];
+      }),
+    });
+    function observe(labels, seconds) {
+      const k = labelKey(labelNames, labels);
+      let s = series.get(k);
+      if (!s) series.set(k, (s = { counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((b, i) => { if (seconds <= b) s.counts[i]++; });
+      s.sum += seconds;
+      s.count++;
+    }
+    return {
+      observe,
+      // end(moreLabels) records the time since startTimer()
+      startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return more => observe({ ...labels, ...more }, Number(process.hrtime.bigint() - start) / 1e9);
+      },
+    };
+  }
+
+  // collect() -> [{ labels, value }] at scrape time
+  function gauge({ name, help, labelNames = [], type = "gauge", collect }) {
+    metrics.push({
+      name, help, type,
+      lines: () => collect().map(({ labels, value }) => `${name}${formatLabels(labelNames, labelNames.map(n => String(labels?.[n] ?? "")))} ${value}`),
+    });
+  }
+
+  function render() {
+    return metrics
+      .map(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join("\n"))
+      .join("\n") + "\n";
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+const registry = createRegistry();
+
+const metrics = {
+  httpRequestDuration: registry.histogram({
+    name: "vibecraft_http_request_duration_seconds",
+    help: "HTTP request latency by route and status",
+    labelNames: ["method", "route", "status"],
+  }),
+  openaiRequestDuration: registry.histogram({
+    name: "vibecraft_openai_request_duration_seconds",
+    help: "Model (LLM_BACKEND) request latency by call site, backend and outcome",
+    labelNames: ["purpose", "backend", "outcome"],
+  }),
+  openaiFailures: registry.counter({
+    name: "vibecraft_openai_failures_total",
+    help: "Failed or unusable model calls by call site, backend and reason (http_<status>, network, timeout, refusal, invalid_json, invalid_output)",
+    labelNames: ["purpose", "backend", "reason"],
+  }),
+  catalogSearches: registry.counter({
+    name: "vibecraft_catalog_searches_total",
+    help: "Catalog song searches by provider, storefront and source (cache or api)",
+    labelNames: ["provider", "storefront", "source"],
+  }),
+  songsSuggested: registry.counter({
+    name: "vibecraft_ai_songs_suggested_total",
+    help: "Songs the AI plan suggested",
+    labelNames: ["provider", "storefront"],
+  }),
+  songsFound: registry.counter({
+    name: "vibecraft_ai_songs_found_total",
+    help: "AI-suggested songs found in the catalog",
+    labelNames: ["provider", "storefront"],
+  }),
+  songsNotFound: registry.counter({
+    name: "vibecraft_ai_songs_not_found_total",
+    help: "AI-suggested songs not found, by reason (not-found, explicit-only)",
+    labelNames: ["provider", "storefront", "reason"],
+  }),
+};
+
+module.exports = { createRegistry, registry, metrics };
@@ -0,0 +1,142 @@
+// Mix drafts: every plan-search result is stored so the app can edit it
+// server-side and publish exactly the stored track list.
+
+const { httpError } = require("./httpError");
+
+// Fields kept per track in a draft
+function toDraftTrack(t, source = t.source || "ai") {
+  return {
+    id: t.id,
+    title: t.title,
+    artist: t.artist,
+    durationMs: t.durationMs || 0,
+    contentRating: t.contentRating || "",
+    genreNames: t.genreNames || [],
+    releaseDate: t.releaseDate || "",
+    albumName: t.albumName || "",
+    isrc: t.isrc || "",
+    artwork: t.artwork || null,
+    previewUrl: t.previewUrl || null,
+    url: t.url || null,
+    suggestedEnergy: t.suggestedEnergy,
+    suggestedPosition: t.suggestedPosition,
+    energySource: t.energySource,
+    rationale: t.rationale || "",
+    match: t.match || null,
+    cleanOf: t.cleanOf || null,
+    source,
+    ...(t.segment !== undefined && { segment: t.segment }),
+    pinned: Boolean(t.pinned),
+  };
+}
+
+// Public view of a stored draft
+function mixView(mix) {
+  const totalMs = mix.tracks.reduce((sum, t) => sum + (t.durationMs || 0), 0);
+  return {
+    mixId: mix.id,
+    version: mix.version,
+    provider: mix.provider,
+    storefront: mix.storefront,
+    title: mix.title,
+    description: mix.description,
+    tracks: mix.tracks.map(t => ({
+      id: t.id,
+      title: t.title,
+      artist: t.artist,
+      durationMs: t.durationMs,
+      pinned: t.pinned,
+    })),
+    ids: mix.tracks.map(t => t.id),
+    minutesTarget: mix.request?.minutes,
+    minutesActual: Math.round(totalMs / 60000),
+    published: mix.published || [],
+    createdAt: mix.createdAt,
+    updatedAt: mix.updatedAt,
+  };
+}
+
+// Catalog ids that `insert` ops need looked up before applyMixEdits runs
+function insertCatalogIds(ops) {
+  return [...new Set((ops || []).filter(o => o?.op === "insert").map(o => String(o.catalogId || "")))].filter(Boolean);
+}
+
+/*
+  Applies edit ops in order and returns the edited copy. Supported ops:
+    { op: "reorder", from, to }         move one track
+    { op: "reorder", order: [indices] } full permutation of current indices
+    { op: "remove", index }             pinned tracks must be unpinned first
+    { op: "pin", index, pinned = true } pinned tracks survive later regeneration steps
+    { op: "insert", catalogId, index }  index defaults to the end
+    { op: "setTitle", title }
+    { op: "setDescription", description }
+  `catalog` maps catalogId -> track for insert ops.
+*/
+function applyMixEdits(mix, ops, catalog = new Map()) {
+  if (!Array.isArray(ops) || !ops.length) throw httpError(400, "ops must be a non-empty array");
+
+  const next = { ...mix, tracks: mix.tracks.map(t => ({ ...t })) };
+  const tracks = next.tracks;
+
+  const indexArg = (value, { allowEnd = false } = {}) => {
+    const i = Number(value);
+    const upper = allowEnd ? tracks.length : tracks.length - 1;
+    if (!Number.isInteger(i) || i < 0 || i > upper) throw httpError(400, `Track index ${value} is out of range`);
+    return i;
+  };
+
+  for (const [n, edit] of ops.entries()) {
+    switch (edit?.op) {
+      case "reorder": {
+        if (Array.isArray(edit.order)) {
+          const order = edit.order.map(Number);
+          const valid = order.length === tracks.length &&
+            new Set(order).size === order.length &&
+            order.every(i => Number.isInteger(i) && i >= 0 && i < tracks.length);
+          if (!valid) throw httpError(400, `ops[${n}]: order must be a permutation of 0..${tracks.length - 1}`);
+          const reordered = order.map(i => tracks[i]);
+          tracks.splice(0, tracks.length, ...reordered);
+        } else {
+          const from = indexArg(edit.from);
+          const to = indexArg(edit.to);
+          const [moved] = tracks.splice(from, 1);
+          tracks.splice(to, 0, moved);
+        }
+        break;
+      }
+      case "remove": {
+        const i = indexArg(edit.index);
+        if (tracks[i].pinned) throw httpError(400, `ops[${n}]: track ${i} is pinned`);
+        tracks.splice(i, 1);
+        break;
+      }
+      case "pin": {
+        tracks[indexArg(edit.index)].pinned = edit.pinned !== false;
+        break;
+      }
+      case "insert": {
+        const found = catalog.get(String(edit.catalogId || ""));
+        if (!found) throw httpError(400, `ops[${n}]: catalog id ${edit.catalogId} not found in ${mix.storefront}`);
+        const at = edit.index === undefined ? tracks.length : indexArg(edit.index, { allowEnd: true });
+        tracks.splice(at, 0, toDraftTrack(found, "user"));
+        break;
+      }
+      case "setTitle": {
+        const title = String(edit.title || "").trim();
+        if (!title) throw httpError(400, `ops[${n}]: title must not be empty`);
+        next.title = title.slice(0, 80);
+        break;
+      }
+      case "setDescription": {
+        next.description = String(edit.description || "").slice(0, 200);
+        break;
+      }
+      default:
+        throw httpError(400, `ops[${n}]: unknown op "${edit?.op}"`);
+    }
+  }
+
+  return next;
+}
+
+module.exports = { toDraftTrack, mixView, insertCatalogIds, applyMixEdits };
@@ -0,0 +1,104 @@
+// Publishing helpers: batched track adds with retry/backoff, and
+// Idempotency-Key handling so a retried publish never creates a second
+// playlist.
+
+const { createLruCache } = require("./cache");
+const { httpError } = require("./httpError");
+const { sleep } = require("./throttle");
+
+const BATCH_SIZE = 50;
+
+// 429, 5xx and network failures (no status) are worth another try
+const isRetryable = e => !e.status || e.status === 429 || e.status >= 500;
+
+/*
+  Adds `ids` in order, `batchSize` at a time. 429/5xx failures are retried
+  with exponential backoff. A batch the provider rejects outright (4xx) is
+  reported as failed and the next batch still goes ahead. Running out of
+  retries or an auth error (401/403) stops the run and fails every remaining
+  id, so a later resume keeps the playlist in order. `onBatch(addedIds)` runs
+  after each successful batch.
+*/
+async function addInBatches({
+  ids,
+  add,
+  batchSize = BATCH_SIZE,
+  maxRetries = 3,
+  baseDelayMs = 500,
+  onBatch = () => {},
+}) {
+  const addedIds = [];
+  const failed = [];
+  for (let i = 0; i < ids.length; i += batchSize) {
+    const batch = ids.slice(i, i + batchSize);
+    let attempt = 0;
+    for (;;) {
+      try {
+        await add(batch);
+        addedIds.push(...batch);
+        await onBatch(batch);
+        break;
+      } catch (e) {
+        if (isRetryable(e) && attempt < maxRetries) {
+          await sleep(baseDelayMs * 2 ** attempt);
+          attempt++;
+          continue;
+        }
+        const reason = { status: e.status || 502, error: String(e.body || e.message || "Add failed").slice(0, 200) };
+        if (isRetryable(e) || e.status === 401 || e.status === 403) {
+          failed.push(...ids.slice(i).map(id => ({ id, ...reason })));
+          return { addedIds, failed };
+        }
+        failed.push(...batch.map(id => ({ id, ...reason })));
+        break;
+      }
+    }
+  }
+  return { addedIds, failed };
+}
+
+/*
+  run(key, fingerprint, work): `work({ previous, checkpoint })` does the
+  publish and returns { status, body }.
+  - A complete response is stored and replayed for the same key.
+  - A concurrent request with the same key waits for the first one.
+  - `checkpoint(state)` records progress (playlist created, ids added) so a
+    retry after a partial failure resumes instead of starting over.
+  - Reusing a key for a different request is a 422.
+*/
+function createIdempotency({ max = 1000, ttlMs = 24 * 60 * 60 * 1000, file } = {}) {
+  const cache = createLruCache({ max, ttlMs, file });
+  const inflight = new Map();
+
+  async function run(key, fingerprint, work) {
+    if (!key) return work({ previous: null, checkpoint: () => {} });
+
+    const entry = cache.get(key);
+    if (entry && entry.fingerprint !== fingerprint) {
+      throw httpError(422, "Idempotency-Key was already used for a different request");
+    }
+    if (entry?.response) return { ...entry.response, replayed: true };
+    if (inflight.has(key)) return { ...(await inflight.get(key)), replayed: true };
+
+    const promise = (async () => {
+      let state = entry?.state || null;
+      const checkpoint = next => {
+        state = { ...state, ...next };
+        cache.set(key, { fingerprint, state });
+      };
+      const response = await work({ previous: state, checkpoint });
+      cache.set(key, response.complete ? { fingerprint, response } : { fingerprint, state });
+      return response;
+    })();
+    inflight.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      inflight.delete(key);
+    }
+  }
+
+  return { run };
+}
+
+module.exports = { addInBatches, createIdempotency, BATCH_SIZE };
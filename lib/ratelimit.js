@@ -0,0 +1,152 @@
+// Inbound rate limiting: fixed windows counted per key (IP, client, device),
+// plus a daily quota on the routes that spend OpenAI budget. Windows are
+// aligned to the epoch, so a 24 h window resets at UTC midnight.
+
+const { logger } = require("./log");
+
+const SWEEP_AT = 10_000;
+
+// check(key, limit) reports whether one more request is allowed; hit() also counts it
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map(); // key -> { start, count }
+
+  function sweep(now) {
+    for (const [key, w] of windows) {
+      if (w.start + windowMs <= now) windows.delete(key);
+    }
+  }
+
+  function current(key, now) {
+    const start = Math.floor(now / windowMs) * windowMs;
+    let w = windows.get(key);
+    if (!w || w.start !== start) {
+      if (windows.size >= SWEEP_AT) sweep(now);
+      w = { start, count: 0 };
+      windows.set(key, w);
+    }
+    return w;
+  }
+
+  function check(key, max = limit) {
+    const now = Date.now();
+    const w = current(key, now);
+    const resetAt = w.start + windowMs;
+    if (w.count >= max) {
+      return { allowed: false, limit: max, remaining: 0, resetAt, retryAfterSeconds: Math.max(1, Math.ceil((resetAt - now) / 1000)) };
+    }
+    return { allowed: true, limit: max, remaining: max - w.count, resetAt };
+  }
+
+  function hit(key, max = limit) {
+    const result = check(key, max);
+    if (result.allowed) {
+      current(key, Date.now()).count++;
+      result.remaining--;
+    }
+    return result;
+  }
+
+  return { check, hit };
+}
+
+// CLIENT_RATE_LIMITS='{"web": {"perMinute": 30, "dailyGenerations": 20}}'
+function parseClientLimits(raw) {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (e) {
+    logger.warn("CLIENT_RATE_LIMITS is not valid JSON, ignoring it", { error: e.message });
+    return {};
+  }
+}
+
+function tooMany(res, scope, result, message) {
+  res.set("Retry-After", String(result.retryAfterSeconds));
+  res.status(429).json({
+    error: message,
+    scope,
+    limit: result.limit,
+    retryAfterSeconds: result.retryAfterSeconds,
+    resetAt: new Date(result.resetAt).toISOString(),
+  });
+}
+
+// Requests per minute per IP. Goes in front of authentication, so guessing
+// keys or tokens is limited too.
+function createIpLimit({ perIp = 120, exempt = [] }) {
+  const ipWindow = createRateLimiter({ limit: perIp, windowMs: 60_000 });
+  return function ipLimit(req, res, next) {
+    if (!perIp || exempt.includes(req.path)) return next();
+    const r = ipWindow.hit(req.ip);
+    if (!r.allowed) return tooMany(res, "ip", r, "Too many requests from this address");
+    next();
+  };
+}
+
+// `limit` requests per `windowMs` per key(req), for one route (0 turns it off)
+function createRouteLimit({ limit, windowMs, scope, message, key = req => req.ip }) {
+  const window = createRateLimiter({ limit, windowMs });
+  return function routeLimit(req, res, next) {
+    if (!limit) return next();
+    const r = window.hit(key(req));
+    if (!r.allowed) return tooMany(res, scope, r, message);
+    next();
+  };
+}
+
+/*
+  Express middleware, after authentication. A limit of 0 turns that check off.
+  - perClient / perDevice: requests per minute
+  - dailyGenerations / dailyGenerationsPerDevice: generation requests
+    (isGeneration(req)) per UTC day; unauthenticated callers are counted by IP
+  The client limits are totals over the client's API key and all its device
+  tokens; device-token callers are held to their device's limits as well.
+  Per-client overrides come from `clientLimits[clientId]` (perMinute,
+  dailyGenerations, perDevicePerMinute, perDeviceDailyGenerations). A request
+  is counted only once every check passes.
+*/
+function createRateLimits({
+  perClient = 60,
+  perDevice = 30,
+  dailyGenerations = 100,
+  dailyGenerationsPerDevice = 20,
+  clientLimits = {},
+  isGeneration = () => false,
+  exempt = [],
+}) {
+  const minuteWindow = createRateLimiter({ limit: perClient, windowMs: 60_000 });
+  const daily = createRateLimiter({ limit: dailyGenerations, windowMs: 24 * 60 * 60 * 1000 });
+
+  return function rateLimits(req, res, next) {
+    if (exempt.includes(req.path)) return next();
+    const client = req.client;
+    const overrides = (client && clientLimits[client.id]) || {};
+    const deviceKey = client?.deviceId ? `${client.id}/${client.deviceId}` : null;
+
+    // [limiter, key, max, scope, message]
+    const checks = [];
+    if (client) {
+      checks.push([minuteWindow, client.id, overrides.perMinute ?? perClient, "client", "Rate limit exceeded for this client"]);
+      if (deviceKey) checks.push([minuteWindow, deviceKey, overrides.perDevicePerMinute ?? perDevice, "device", "Rate limit exceeded for this device"]);
+    }
+    if (isGeneration(req)) {
+      const message = "Daily generation quota used up";
+      checks.push([daily, client ? client.id : `ip:${req.ip}`, overrides.dailyGenerations ?? dailyGenerations, "daily-generations", message]);
+      if (deviceKey) checks.push([daily, deviceKey, overrides.perDeviceDailyGenerations ?? dailyGenerationsPerDevice, "daily-generations", message]);
+    }
+    const active = checks.filter(([, , max]) => max);
+
+    let tightest = null;
+    for (const [limiter, key, max, scope, message] of active) {
+      const r = limiter.check(key, max);
+      if (!r.allowed) return tooMany(res, scope, r, message);
+      if (limiter === minuteWindow && (!tightest || r.remaining < tightest.remaining)) tightest = r;
+    }
+    active.forEach(([limiter, key, max]) => limiter.hit(key, max));
+    if (tightest) res.set({ "RateLimit-Limit": String(tightest.limit), "RateLimit-Remaining": String(tightest.remaining - 1) });
+    next();
+  };
+}
+
+module.exports = { createRateLimiter, createIpLimit, createRouteLimit, createRateLimits, parseClientLimits };
@@ -0,0 +1,127 @@
+// Conversational refinement: prompt for revising an existing plan from
+// feedback, and the diff between the old and new track lists.
+
+const { contentRule } = require("./clean");
+const { songSchema } = require("./llm");
+
+const HISTORY_LIMIT = 5;
+
+const REFINE_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string" },
+    description: { type: "string" },
+    summary: { type: "string" },
+    songs: {
+      type: "array",
+      minItems: 1,
+      items: songSchema({ position: { type: "number", minimum: 0, maximum: 1 } }),
+    },
+  },
+  required: ["songs"],
+};
+
+function buildRefinePrompt({ prompt, minutes, explicit, strictClean, title, tracks, notFound = [], history = [], feedback }) {
+  const lines = tracks.map((t, i) => {
+    const energy = typeof t.suggestedEnergy === "number" ? t.suggestedEnergy.toFixed(2) : "?";
+    const position = typeof t.suggestedPosition === "number" ? t.suggestedPosition.toFixed(2) : (i / Math.max(1, tracks.length - 1)).toFixed(2);
+    return `${i + 1}. ${t.artist} – ${t.title} | energy ${energy} | position ${position}${t.pinned ? " | PINNED" : ""}`;
+  });
+
+  const system = `
+You are an expert music curator revising a playlist you made earlier. Apply the user's feedback to the CURRENT PLAYLIST; do not start over.
+
+ORIGINAL REQUEST: "${prompt || "(not given)"}" (${minutes} minutes)
+CURRENT TITLE: "${title || ""}"
+
+CURRENT PLAYLIST:
+${lines.join("\n")}
+${notFound.length ? `
+NOT AVAILABLE IN THE CATALOG (do not suggest again):
+${notFound.map(s => `- ${s.artist} – ${s.title}${s.reason === "explicit-only" ? " (explicit only)" : ""}`).join("\n")}
+` : ""}${history.length ? `
+EARLIER FEEDBACK (already applied, keep honouring it):
+${history.map((h, i) => `${i + 1}. "${h.feedback}"`).join("\n")}
+` : ""}
+RULES:
+- Keep every song the feedback doesn't ask to change, with its exact artist and title
+- Keep every PINNED song
+- Replace or add songs only where the feedback calls for it; new songs must be REAL tracks
+- Re-assign energy and position so the order matches the described energy journey
+- Keep the total length close to ${minutes} minutes
+
+Return STRICT JSON:
+{
+  "title": string,
+  "description": string,
+  "summary": string,            // one sentence on what changed
+  "songs": [
+    {
+      "artist": string,
+      "title": string,
+      "energy": number,         // 0.1-0.9
+      "position": number,       // 0.0-1.0
+      "rationale": string
+    }
+  ]
+}
+
+Return only the JSON object, no other text.`.trim();
+
+  const user = `Feedback: "${feedback}". ${contentRule({ explicit, strictClean })}`;
+
+  return { system, user, schema: REFINE_SCHEMA };
+}
+
+// Positions in `values` of one longest strictly increasing subsequence
+function longestIncreasing(values) {
+  const tails = []; // tails[k]: position ending the best run of length k + 1
+  const previous = [];
+  values.forEach((v, i) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (values[tails[mid]] < v) lo = mid + 1;
+      else hi = mid;
+    }
+    previous[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  });
+  const run = new Set();
+  for (let i = tails[tails.length - 1] ?? -1; i !== -1; i = previous[i]) run.add(i);
+  return run;
+}
+
+// Compares track lists by catalog id. A track is "moved" when its order
+// relative to the other surviving tracks changed, not merely its index: of the
+// tracks in both lists, the longest run still in the old order counts as kept,
+// so one removal or insertion doesn't mark everything after it as moved.
+function diffTracks(before, after) {
+  const beforeIndex = new Map(before.map((t, i) => [String(t.id), i]));
+  const afterIds = new Set(after.map(t => String(t.id)));
+  const brief = t => ({ id: t.id, title: t.title, artist: t.artist });
+
+  const survivors = [];
+  const added = [];
+  after.forEach((t, to) => {
+    const from = beforeIndex.get(String(t.id));
+    if (from === undefined) added.push({ ...brief(t), index: to });
+    else survivors.push({ t, from, to });
+  });
+  const inOrder = longestIncreasing(survivors.map(s => s.from));
+
+  const kept = [];
+  const moved = [];
+  survivors.forEach(({ t, from, to }, i) => {
+    if (inOrder.has(i)) kept.push({ ...brief(t), index: to });
+    else moved.push({ ...brief(t), from, to });
+  });
+  const removed = before
+    .map((t, index) => ({ ...brief(t), index }))
+    .filter(t => !afterIds.has(String(t.id)));
+
+  return { kept, moved, added, removed };
+}
+
+module.exports = { buildRefinePrompt, diffTracks, HISTORY_LIMIT };
@@ -0,0 +1,149 @@
+// Storefronts (Apple Music) and markets (Spotify): which one a request is for,
+// and moving a track list from one to another.
+//   resolveStorefront()  the request's storefront, else the user's own (looked
+//                        up from their token and cached), else "us"
+//   localizeTracks()     batch catalog lookup of the ids in the target
+//                        storefront. Ids that aren't there or can't be played
+//                        are remapped by ISRC to the local release; tracks with
+//                        no local equivalent are reported, not kept, and so
+//                        are tracks whose ISRC lookup failed (separately).
+
+const crypto = require("crypto");
+const { httpError } = require("./httpError");
+const { logger } = require("./log");
+
+const DEFAULT_STOREFRONT = "us";
+const LOOKUP_BATCH = 50; // Spotify's cap per lookup; Apple takes more
+const ISRC_BATCH = 25;
+
+function parseStorefront(value, field = "storefront") {
+  if (value === undefined || value === null || value === "") return null;
+  const storefront = String(value).trim().toLowerCase();
+  if (!/^[a-z]{2}$/.test(storefront)) throw httpError(400, `${field} must be a two-letter country code`);
+  return storefront;
+}
+
+/*
+  -> { storefront, source: "request" | "user" | "default" }
+  `cache` (lib/cache.js, optional) keeps detected storefronts per provider and
+  user token. A failed lookup is logged and falls back to the default.
+*/
+async function resolveStorefront({ provider, requested, userToken, developerToken, cache = null }) {
+  const explicit = parseStorefront(requested);
+  if (explicit) return { storefront: explicit, source: "request" };
+  if (userToken) {
+    const key = crypto.createHash("sha256").update(`${provider.name}:${userToken}`).digest("hex");
+    const cached = cache?.get(key);
+    if (cached) return { storefront: cached, source: "user" };
+    try {
+      const storefront = parseStorefront(await provider.getUserStorefront({ developerToken, userToken }));
+      if (storefront) {
+        cache?.set(key, storefront);
+        return { storefront, source: "user" };
+      }
+    } catch (e) {
+      logger.warn("Storefront detection failed, using the default", { provider: provider.name, status: e.status, error: e.message });
+    }
+  }
+  return { storefront: DEFAULT_STOREFRONT, source: "default" };
+}
+
+async function inBatches(items, size, fn) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(...await fn(items.slice(i, i + size)));
+  return out;
+}
+
+const isrcOf = t => String(t?.isrc || "").toUpperCase();
+const playable = t => t && t.playable !== false;
+// The mix's track with the local release's id and links
+const localCopy = (t, local) => ({
+  ...t,
+  id: local.id,
+  isrc: t.isrc || local.isrc,
+  previewUrl: local.previewUrl || null,
+  url: local.url || null,
+});
+
+/*
+  tracks:   the mix in order ({ id, isrc?, contentRating?, ... }, ids from any storefront)
+  from:     the storefront the ids come from; used to look up missing ISRCs
+  explicit: false keeps explicit releases out of the remaps
+  -> {
+    storefront,
+    tracks,        local copies in order: id, preview and web URL replaced, everything else kept
+    checked,       how many ids were looked up
+    remapped:      [{ index, from, to, via: "isrc" | "relink" }]
+    unavailable:   [{ index, id, title, artist, reason: "not-in-storefront" | "not-playable" | "no-isrc" | "explicit-only" }]
+    lookupFailed:  [{ index, id, title, artist, isrc, error }], unplayable tracks whose ISRC lookup failed
+  }
+*/
+async function localizeTracks({ provider, tracks, storefront, from = null, explicit = true, developerToken }) {
+  const lookup = (ids, sf) => inBatches(ids, LOOKUP_BATCH, batch => provider.getSongs({ ids: batch, storefront: sf, developerToken }));
+  const ids = [...new Set(tracks.map(t => String(t.id)))];
+
+  // 1. The same ids in the target storefront (Spotify may relink to another id)
+  const local = new Map();
+  for (const t of await lookup(ids, storefront)) local.set(String(t.linkedFrom || t.id), t);
+
+  // 2. ISRCs for the rest: the track's own, else from the source storefront
+  const missing = tracks.filter(t => !playable(local.get(String(t.id))));
+  const isrcs = new Map(missing.map(t => [String(t.id), isrcOf(t)]));
+  const unknown = missing.filter(t => !isrcOf(t)).map(t => String(t.id));
+  if (unknown.length && from && from !== storefront) {
+    for (const t of await lookup(unknown, from)) if (t.isrc) isrcs.set(String(t.linkedFrom || t.id), isrcOf(t));
+  }
+
+  // 3. The target storefront's releases of those recordings
+  const wanted = [...new Set([...isrcs.values()].filter(Boolean))];
+  const byIsrc = new Map();
+  const failedIsrcs = new Map(); // isrc -> error
+  const found = await inBatches(wanted, ISRC_BATCH, async batch => {
+    try {
+      return await provider.getSongsByIsrc({ isrcs: batch, storefront, developerToken });
+    } catch (e) {
+      logger.warn("ISRC lookup failed", { provider: provider.name, storefront, count: batch.length, status: e.status, error: e.message });
+      batch.forEach(isrc => failedIsrcs.set(isrc, e.status ? `upstream ${e.status}` : "network"));
+      return [];
+    }
+  });
+  for (const t of found) {
+    if (!playable(t)) continue;
+    const list = byIsrc.get(isrcOf(t)) || [];
+    byIsrc.set(isrcOf(t), [...list, t]);
+  }
+
+  const out = [];
+  const remapped = [];
+  const unavailable = [];
+  const lookupFailed = [];
+  tracks.forEach((t, index) => {
+    const id = String(t.id);
+    const same = local.get(id);
+    if (playable(same)) {
+      if (String(same.id) !== id) remapped.push({ index, from: id, to: same.id, via: "relink" });
+      out.push(localCopy(t, same));
+      return;
+    }
+    const isrc = isrcs.get(id);
+    if (isrc && failedIsrcs.has(isrc)) {
+      lookupFailed.push({ index, id, title: t.title, artist: t.artist, isrc, error: failedIsrcs.get(isrc) });
+      return;
+    }
+    const candidates = (isrc && byIsrc.get(isrc)) || [];
+    const allowed = candidates.filter(c => explicit || c.contentRating !== "explicit");
+    // Same recording: prefer the release with the same content rating (clean stays clean)
+    const match = allowed.find(c => (c.contentRating || "") === (t.contentRating || "")) || allowed[0];
+    if (match) {
+      remapped.push({ index, from: id, to: match.id, via: "isrc" });
+      out.push(localCopy(t, match));
+      return;
+    }
+    const reason = !isrc ? "no-isrc" : candidates.length ? "explicit-only" : same ? "not-playable" : "not-in-storefront";
+    unavailable.push({ index, id, title: t.title, artist: t.artist, reason });
+  });
+
+  return { storefront, tracks: out, checked: ids.length, remapped, unavailable, lookupFailed };
+}
+
+module.exports = { parseStorefront, resolveStorefront, localizeTracks, DEFAULT_STOREFRONT };
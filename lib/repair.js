@@ -0,0 +1,70 @@
+// Repair rounds: ask the model for real replacements for songs the catalog
+// didn't have, keeping each missing song's energy/position slot.
+
+const { httpError } = require("./httpError");
+const { contentRule } = require("./clean");
+const { songSchema } = require("./llm");
+
+const MAX_ROUNDS = 5;
+const MAX_SLOTS = 15;
+
+// The answer the repair prompt asks for (checked by lib/llm.js)
+const REPAIR_SCHEMA = {
+  type: "object",
+  properties: {
+    replacements: { type: "array", items: songSchema({ slot: { type: "integer" } }, ["slot"]) },
+  },
+  required: ["replacements"],
+};
+
+// `repair: false` turns repair off; `{ maxRounds, timeBudgetMs }` tunes it
+function parseRepairOptions(input, defaults) {
+  if (input === false) return { maxRounds: 0, timeBudgetMs: 0 };
+  if (input === undefined || input === null || input === true) return defaults;
+  if (typeof input !== "object") throw httpError(400, "repair must be false or { maxRounds, timeBudgetMs }");
+  const maxRounds = input.maxRounds === undefined ? defaults.maxRounds : Number(input.maxRounds);
+  const timeBudgetMs = input.timeBudgetMs === undefined ? defaults.timeBudgetMs : Number(input.timeBudgetMs);
+  if (!Number.isInteger(maxRounds) || maxRounds < 0 || maxRounds > MAX_ROUNDS) {
+    throw httpError(400, `repair.maxRounds must be an integer from 0 to ${MAX_ROUNDS}`);
+  }
+  if (!Number.isFinite(timeBudgetMs) || timeBudgetMs < 0) throw httpError(400, "repair.timeBudgetMs must be a non-negative number");
+  return { maxRounds, timeBudgetMs };
+}
+
+/*
+  slots: [{ slot, artist, title, energy, position, tried: [{ artist, title }] }]
+  found: tracks already in the mix
+*/
+function buildRepairPrompt({ prompt, explicit, strictClean, slots, found }) {
+  const system = `
+You are an expert music curator fixing a playlist. Some songs you suggested earlier could not be found in the streaming catalog (they may not exist or not be available). Replace each with a REAL, widely available song that fills the same slot.
+
+PLAYLIST REQUEST: "${prompt || "(not given)"}"
+
+SLOTS TO FILL:
+${slots.map(s => `- slot ${s.slot}: was ${s.artist} – ${s.title} | energy ${Number(s.energy ?? 0.5).toFixed(2)} | position ${Number(s.position ?? 0.5).toFixed(2)}${s.reason === "explicit-only" ? " | only an explicit version exists" : ""}${s.tried.length ? ` | also unavailable: ${s.tried.map(t => `${t.artist} – ${t.title}`).join("; ")}` : ""}`).join("\n")}
+
+ALREADY IN THE PLAYLIST (do not repeat):
+${found.map(t => `- ${t.artist} – ${t.title}`).join("\n") || "(none)"}
+
+Return STRICT JSON:
+{
+  "replacements": [
+    {
+      "slot": number,           // slot number from the list above
+      "artist": string,         // exact artist name as it appears on streaming
+      "title": string,          // exact song title
+      "energy": number,         // 0.1-0.9, close to the slot's energy
+      "rationale": string
+    }
+  ]
+}
+
+One replacement per slot. Prefer well-known recordings that certainly exist over obscure ones.
+Return only the JSON object, no other text.`.trim();
+
+  const user = `Replace the ${slots.length} unavailable song(s). ${contentRule({ explicit, strictClean })}`;
+  return { system, user, schema: REPAIR_SCHEMA };
+}
+
+module.exports = { parseRepairOptions, buildRepairPrompt, MAX_SLOTS };
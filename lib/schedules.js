@@ -0,0 +1,285 @@
+// Scheduled mixes: a prompt and plan-search options re-run on a cron schedule
+// (lib/cron.js), each run replacing the tracks of one library playlist (or
+// creating a new playlist, for providers that can't remove tracks). Runs
+// avoid the songs of the last `avoidRuns` runs. Jobs live in a store
+// (lib/store.js) with their user token encrypted, and keep their run history.
+//   createScheduler()  checks for due jobs every `tickMs` and runs them one at
+//                      a time through `run(job, userToken)`
+// A job whose user token is rejected, or that fails `maxFailures` times in a
+// row, is paused until it is resumed.
+
+const crypto = require("crypto");
+const { httpError } = require("./httpError");
+const { logger, withLogContext } = require("./log");
+const { parseCron, nextRun, shortestInterval } = require("./cron");
+
+const MODES = ["replace", "create"];
+const MAX_AVOID_RUNS = 10;
+const MAX_NAME = 80;
+// Recently used songs named in the prompt; the rest are only filtered out
+const MAX_LISTED = 60;
+
+// AES-256-GCM under a key derived from SCHEDULE_TOKEN_SECRET
+function createTokenBox(secret) {
+  const key = secret ? crypto.createHash("sha256").update(`vibecraft-schedules:${secret}`).digest() : null;
+  return {
+    enabled: Boolean(key),
+    seal(token) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+      const data = Buffer.concat([cipher.update(String(token), "utf8"), cipher.final()]);
+      return [iv, cipher.getAuthTag(), data].map(b => b.toString("base64url")).join(".");
+    },
+    open(sealed) {
+      const [iv, tag, data] = String(sealed).split(".").map(s => Buffer.from(s, "base64url"));
+      const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+    },
+  };
+}
+
+/*
+  POST/PATCH body → job fields. `current` is the job being patched (its
+  values are the defaults); `validateOptions(body)` checks the plan-search
+  options and throws 400s.
+  -> { name, prompt, options, schedule, timeZone, mode, avoidRuns, paused, userToken? }
+*/
+function parseScheduleInput(input, { current = null, provider = null, minIntervalMinutes = 60, validateOptions = () => {} } = {}) {
+  const body = input || {};
+  const pick = key => (body[key] !== undefined ? body[key] : current?.[key]);
+
+  const prompt = String(pick("prompt") ?? "").trim();
+  if (!prompt) throw httpError(400, "Missing prompt");
+  const name = String(pick("name") || prompt).slice(0, MAX_NAME);
+
+  const options = pick("options") ?? {};
+  if (typeof options !== "object" || Array.isArray(options)) throw httpError(400, "options must be an object of plan-search options");
+  for (const key of ["prompt", "provider", "userToken", "fields"]) {
+    if (options[key] !== undefined) throw httpError(400, `options.${key} isn't allowed; ${key === "fields" ? "scheduled runs store the whole mix" : `send ${key} at the top level`}`);
+  }
+
+  const timeZone = String(pick("timeZone") || "UTC");
+  const cron = parseCron(pick("schedule"), timeZone);
+  const interval = shortestInterval(cron);
+  if (interval === null) throw httpError(400, `schedule "${cron.expression}" never runs`);
+  if (interval < minIntervalMinutes) {
+    throw httpError(400, `schedule runs every ${interval} minute(s); the minimum is ${minIntervalMinutes}`);
+  }
+
+  const mode = pick("mode") || (provider?.replaceTracks ? "replace" : "create");
+  if (!MODES.includes(mode)) throw httpError(400, `mode must be one of: ${MODES.join(", ")}`);
+  if (mode === "replace" && provider && !provider.replaceTracks) {
+    throw httpError(400, `${provider.name} can't remove tracks from a playlist; use mode "create" (a new playlist each run)`);
+  }
+
+  const avoidRuns = Number(pick("avoidRuns") ?? 3);
+  if (!Number.isInteger(avoidRuns) || avoidRuns < 0 || avoidRuns > MAX_AVOID_RUNS) {
+    throw httpError(400, `avoidRuns must be an integer from 0 to ${MAX_AVOID_RUNS}`);
+  }
+
+  const paused = pick("paused") ?? false;
+  if (typeof paused !== "boolean") throw httpError(400, "paused must be a boolean");
+
+  if (body.userToken !== undefined && (typeof body.userToken !== "string" || !body.userToken)) {
+    throw httpError(400, "userToken must be a non-empty string");
+  }
+  if (!current && !body.userToken) throw httpError(400, "Missing userToken");
+
+  validateOptions({ ...options, prompt, userToken: body.userToken || current?.userToken });
+  return {
+    name,
+    prompt,
+    options,
+    schedule: cron.expression,
+    timeZone,
+    mode,
+    avoidRuns,
+    paused,
+    ...(body.userToken && { userToken: body.userToken }),
+  };
+}
+
+// Prompt lines so the model doesn't suggest what earlier runs used (newest first)
+function describeRecentSongs(songs) {
+  if (!songs.length) return "";
+  const listed = songs.slice(0, MAX_LISTED).map(t => `- ${t.artist} – ${t.title}`);
+  return ["RECENTLY USED (the listener heard these in the last few runs; suggest other songs):", ...listed].join("\n");
+}
+
+// What clients see: no user token, no owner
+function scheduleView(job, { runs = false } = {}) {
+  const { userToken, owner, recent, runs: history = [], ...rest } = job;
+  return {
+    ...rest,
+    lastRun: history[0] || null,
+    ...(runs && { runs: history }),
+  };
+}
+
+/*
+  store:        lib/store.js store for the jobs
+  run:          async (job, userToken, { runId, trigger }) -> { mixId, playlistId, tracks: [{ id, artist, title }], failedCount }
+                (throws on failure; 401/403 pauses the job)
+  tokens:       createTokenBox()
+*/
+function createScheduler({ store, run, tokens, tickMs = 30_000, historyLimit = 30, maxFailures = 5, now = () => new Date() }) {
+  const running = new Set();
+  let timer = null;
+  let ticking = false;
+
+  const nextRunAt = (job, after = now()) => nextRun(parseCron(job.schedule, job.timeZone), after)?.toISOString() || null;
+
+  // Bookkeeping on the latest copy, so edits made during a run aren't lost
+  async function update(id, apply) {
+    const latest = await store.get(id);
+    if (!latest) return null;
+    apply(latest);
+    return store.save(latest, latest.version, { keepVersion: true });
+  }
+
+  function openToken(job) {
+    try {
+      return tokens.open(job.userToken);
+    } catch {
+      throw httpError(401, "The stored user token can't be decrypted (was SCHEDULE_TOKEN_SECRET changed?)");
+    }
+  }
+
+  async function runJob(job, trigger) {
+    if (running.has(job.id)) throw httpError(409, "This schedule is already running");
+    running.add(job.id);
+    const startedAt = now();
+    const entry = { id: crypto.randomUUID(), trigger, startedAt: startedAt.toISOString() };
+    let result = null;
+    try {
+      await withLogContext({ scheduleId: job.id, runId: entry.id }, async () => {
+        try {
+          result = await run(job, openToken(job), { runId: entry.id, trigger });
+          Object.assign(entry, {
+            status: result.failedCount ? "partial" : "ok",
+            mixId: result.mixId,
+            playlistId: result.playlistId,
+            trackCount: result.tracks.length,
+            failedCount: result.failedCount,
+          });
+        } catch (e) {
+          Object.assign(entry, { status: "error", error: String(e?.message || e), errorStatus: e.status || 500 });
+          logger.warn("Scheduled run failed", { trigger, status: e.status, error: e.message });
+        }
+      });
+      const finishedAt = now();
+      Object.assign(entry, { finishedAt: finishedAt.toISOString(), durationMs: finishedAt - startedAt });
+      await record(job, entry, result, trigger);
+    } finally {
+      running.delete(job.id);
+    }
+    return entry;
+  }
+
+  // Run history, the songs to avoid next time, failure count and next run
+  async function record(job, entry, result, trigger) {
+    const saved = await update(job.id, latest => {
+      latest.runs = [entry, ...(latest.runs || [])].slice(0, historyLimit);
+      latest.lastRunAt = entry.startedAt;
+      if (result) {
+        latest.failures = 0;
+        latest.playlistId = result.playlistId;
+        latest.recent = [result.tracks, ...(latest.recent || [])].slice(0, MAX_AVOID_RUNS);
+      } else {
+        latest.failures = (latest.failures || 0) + 1;
+        if (entry.errorStatus === 401 || entry.errorStatus === 403) {
+          Object.assign(latest, { paused: true, pausedReason: "The user token was rejected; PATCH a new userToken and paused: false" });
+        } else if (latest.failures >= maxFailures) {
+          Object.assign(latest, { paused: true, pausedReason: `${latest.failures} failed runs in a row` });
+        }
+      }
+      if (latest.paused) latest.nextRunAt = null;
+      else if (trigger === "schedule") latest.nextRunAt = nextRunAt(latest);
+    });
+    if (!saved) logger.info("Schedule deleted during its run", { scheduleId: job.id });
+  }
+
+  // Due jobs, oldest first; a run that outlasts the tick just delays the next check
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const due = (await store.list(j => !j.paused && j.nextRunAt && j.nextRunAt <= now().toISOString()))
+        .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+      for (const job of due) {
+        if (!running.has(job.id)) await runJob(job, "schedule");
+      }
+    } catch (e) {
+      logger.error("Scheduler tick failed", e);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  // The owner's job, else 404
+  async function owned(owner, id) {
+    const job = await store.get(id);
+    if (!job || job.owner !== owner) throw httpError(404, "Schedule not found");
+    return job;
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, tickMs);
+      timer.unref();
+      setImmediate(tick);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    tick,
+
+    async create(owner, provider, fields) {
+      const { userToken, ...rest } = fields;
+      const job = { ...rest, owner, provider, userToken: tokens.seal(userToken), playlistId: null, failures: 0, recent: [], runs: [] };
+      job.nextRunAt = job.paused ? null : nextRunAt(job);
+      return store.create(job);
+    },
+
+    async list(owner) {
+      return (await store.list(j => j.owner === owner)).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    get: owned,
+
+    // `fields` from parseScheduleInput; resuming (or a new schedule) recomputes the next run
+    async update(owner, id, version, fields) {
+      const job = await owned(owner, id);
+      const { userToken, ...rest } = fields;
+      const changed = { ...job, ...rest };
+      if (userToken) changed.userToken = tokens.seal(userToken);
+      if (changed.paused) {
+        changed.nextRunAt = null;
+      } else {
+        if (job.paused) Object.assign(changed, { pausedReason: null, failures: 0 });
+        if (job.paused || changed.schedule !== job.schedule || changed.timeZone !== job.timeZone) changed.nextRunAt = nextRunAt(changed);
+      }
+      // A new mode starts a new playlist
+      if (changed.mode !== job.mode) changed.playlistId = null;
+      return store.save(changed, version ?? job.version);
+    },
+
+    async remove(owner, id) {
+      await owned(owner, id);
+      return store.delete(id);
+    },
+
+    async runNow(owner, id) {
+      return runJob(await owned(owner, id), "manual");
+    },
+
+    isRunning: id => running.has(id),
+  };
+}
+
+module.exports = { createScheduler, createTokenBox, parseScheduleInput, describeRecentSongs, scheduleView, MODES, MAX_AVOID_RUNS };
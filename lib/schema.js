@@ -0,0 +1,77 @@
+// The JSON Schema subset the model prompts use: type (incl. ["string", "null"]),
+// properties, required, additionalProperties, items, enum, minimum/maximum,
+// minItems/maxItems and minLength/maxLength. validate() checks model output;
+// toStrictSchema() derives what OpenAI structured outputs accept.
+
+const typeOf = v => (v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v);
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return [].concat(type).some(t => t === actual || (t === "number" && actual === "integer"));
+}
+
+// -> [{ path, message }]; empty when `value` conforms
+function validate(schema, value, path = "$") {
+  const errors = [];
+  const fail = message => errors.push({ path, message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`expected ${[].concat(schema.type).join(" or ")}, got ${typeOf(value)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.join(", ")}`);
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) fail(`must have at least ${schema.minLength} character(s)`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must have at most ${schema.maxLength} characters`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+  if (value && typeof value === "object" && !Array.isArray(value) && schema.properties) {
+    const required = schema.required || [];
+    for (const key of required) {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: "is required" });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties[key];
+      if (!sub) {
+        if (schema.additionalProperties === false) errors.push({ path: `${path}.${key}`, message: "is not allowed" });
+        continue;
+      }
+      // An optional field may be null (strict mode sends every field)
+      if (v === null && !required.includes(key)) continue;
+      errors.push(...validate(sub, v, `${path}.${key}`));
+    }
+  }
+  return errors;
+}
+
+const STRICT_UNSUPPORTED = ["minimum", "maximum", "minItems", "maxItems", "minLength", "maxLength"];
+
+// Strict structured outputs need every property listed in `required` and no
+// extra keys, so optional fields become nullable. Range checks stay in validate().
+function toStrictSchema(schema) {
+  const out = { ...schema };
+  for (const k of STRICT_UNSUPPORTED) delete out[k];
+  if (schema.items) out.items = toStrictSchema(schema.items);
+  if (schema.properties) {
+    const required = schema.required || [];
+    out.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, sub]) => {
+      const strict = toStrictSchema(sub);
+      if (!required.includes(key)) strict.type = [...new Set([...[].concat(strict.type), "null"])];
+      return [key, strict];
+    }));
+    out.required = Object.keys(schema.properties);
+    out.additionalProperties = false;
+  }
+  return out;
+}
+
+module.exports = { validate, toStrictSchema };
@@ -0,0 +1,117 @@
+// Seeded mixes: catalog songs, albums, artists and playlists (catalog or the
+// user's library) are loaded from the provider and given to the model as
+// concrete anchors. Seed tracks can also be placed in the mix itself.
+
+const { httpError } = require("./httpError");
+
+const MAX_SEED_IDS = 10;
+const MAX_SEED_TRACKS = 100;
+const PROMPT_TRACKS = 25;
+
+// Apple tags nearly everything with the catch-all genre "Music"
+const isRealGenre = g => g && g.toLowerCase() !== "music";
+
+const KINDS = [
+  ["albums", "album"],
+  ["artists", "artist"],
+  ["playlists", "playlist"],
+  ["libraryPlaylists", "library-playlist"],
+];
+
+function ids(value, field) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw httpError(400, `seeds.${field} must be an array of ids`);
+  return [...new Set(value.map(String).filter(Boolean))];
+}
+
+/*
+  {
+    songs: ["1440857781"],       // catalog song ids
+    albums: ["1440857770"],
+    artists: ["5468295"],
+    playlists: ["pl.u-..."],     // catalog playlists
+    libraryPlaylists: ["p.x"],   // the user's own playlists (needs userToken)
+    include: true                // put the seed tracks in the mix, first and pinned
+  }
+*/
+function parseSeeds(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) throw httpError(400, "seeds must be an object");
+  const seeds = {
+    songs: ids(input.songs, "songs"),
+    collections: KINDS.flatMap(([field, kind]) => ids(input[field], field).map(id => ({ kind, id }))),
+    include: Boolean(input.include),
+  };
+  const count = seeds.songs.length + seeds.collections.length;
+  if (!count) throw httpError(400, "seeds needs at least one song, album, artist or playlist id");
+  if (count > MAX_SEED_IDS) throw httpError(400, `At most ${MAX_SEED_IDS} seed ids`);
+  return seeds;
+}
+
+// Fetches the seeds' metadata. Unknown ids are a 400 so callers notice typos.
+async function loadSeeds(seeds, { provider, storefront, developerToken, userToken }) {
+  if (seeds.collections.some(c => c.kind === "library-playlist") && !userToken) {
+    throw httpError(400, "seeds.libraryPlaylists needs a userToken");
+  }
+
+  const sources = [];
+  const tracks = [];
+  const seen = new Set();
+  const addTracks = list => {
+    for (const t of list) {
+      if (seen.has(String(t.id)) || tracks.length >= MAX_SEED_TRACKS) continue;
+      seen.add(String(t.id));
+      tracks.push({ ...t, source: "seed" });
+    }
+  };
+
+  if (seeds.songs.length) {
+    const songs = await provider.getSongs({ ids: seeds.songs, storefront, developerToken });
+    const found = new Set(songs.map(s => String(s.id)));
+    const missing = seeds.songs.filter(id => !found.has(id));
+    if (missing.length) throw httpError(400, `Unknown seed song id(s): ${missing.join(", ")}`);
+    sources.push({ kind: "songs", ids: seeds.songs, genreNames: [], trackCount: songs.length });
+    addTracks(songs);
+  }
+  for (const { kind, id } of seeds.collections) {
+    const collection = await provider.getCollection({ kind, id, storefront, developerToken, userToken });
+    if (!collection) throw httpError(400, `Unknown seed ${kind} "${id}"`);
+    const { tracks: items, ...meta } = collection;
+    sources.push({ ...meta, trackCount: items.length });
+    addTracks(items);
+  }
+
+  const artists = [...new Set([
+    ...sources.filter(s => s.kind === "artist").map(s => s.name),
+    ...tracks.map(t => t.artist),
+  ].filter(Boolean))];
+  const genres = [...new Set([...sources, ...tracks].flatMap(x => x.genreNames || []))].filter(isRealGenre);
+  return { sources, tracks, artists, genres, include: seeds.include };
+}
+
+function describeSource(s) {
+  if (s.kind === "songs") return `${s.trackCount} hand-picked song(s)`;
+  if (s.kind === "artist") return `artist ${s.name}`;
+  const label = s.kind === "album" ? "album" : "playlist";
+  return `${label} "${s.name}"${s.artist ? ` by ${s.artist}` : ""} (${s.trackCount} tracks)`;
+}
+
+// Guidance block for the AI plan
+function describeSeeds(loaded) {
+  if (!loaded) return "";
+  const sample = loaded.tracks.slice(0, PROMPT_TRACKS);
+  return [
+    `SEEDS (concrete anchors: match their style, era, sound and energy): ${loaded.sources.map(describeSource).join("; ")}`,
+    ...sample.map(t => {
+      const genres = (t.genreNames || []).filter(isRealGenre).slice(0, 2);
+      return `- ${t.artist} – ${t.title}${genres.length ? ` [${genres.join(", ")}]` : ""}`;
+    }),
+    loaded.tracks.length > sample.length ? `- …and ${loaded.tracks.length - sample.length} more` : "",
+    loaded.genres.length ? `Seed genres: ${loaded.genres.slice(0, 8).join(", ")}` : "",
+    loaded.include
+      ? "The seed tracks are already at the start of the playlist: do not suggest them again, continue from them."
+      : "Do not suggest the seed tracks themselves.",
+  ].filter(Boolean).join("\n");
+}
+
+module.exports = { parseSeeds, loadSeeds, describeSeeds, MAX_SEED_IDS };
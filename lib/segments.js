@@ -0,0 +1,93 @@
+// Multi-segment mixes (e.g. warm-up / main / cool-down): request parsing,
+// per-segment planning guidance and boundary-aware energy curves.
+
+const { httpError } = require("./httpError");
+const { parseEnergyCurve } = require("./energy");
+
+const MAX_SEGMENTS = 8;
+const MAX_TOTAL_MINUTES = 360;
+
+/*
+  Each segment: { name?, minutes, prompt, energy?: [min, max] | { min, max },
+                  genres?: string | string[], explicit?, energyCurve? }
+  Returns null when `input` is absent.
+*/
+function parseSegments(input, { explicit = true } = {}) {
+  if (input === undefined || input === null) return null;
+  if (!Array.isArray(input) || !input.length) throw httpError(400, "segments must be a non-empty array");
+  if (input.length > MAX_SEGMENTS) throw httpError(400, `At most ${MAX_SEGMENTS} segments are supported`);
+
+  const segments = input.map((raw, i) => {
+    const minutes = Number(raw?.minutes);
+    if (!Number.isFinite(minutes) || minutes < 3) throw httpError(400, `segments[${i}].minutes must be at least 3`);
+    const prompt = String(raw.prompt || "").trim();
+    if (!prompt) throw httpError(400, `segments[${i}].prompt is required`);
+
+    let energy = null;
+    if (raw.energy !== undefined) {
+      const [min, max] = (Array.isArray(raw.energy) ? raw.energy : [raw.energy?.min, raw.energy?.max]).map(Number);
+      if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+        throw httpError(400, `segments[${i}].energy must be [min, max] with min <= max`);
+      }
+      energy = { min: Math.max(0.1, min), max: Math.min(0.9, max) };
+    }
+
+    return {
+      name: String(raw.name || `Part ${i + 1}`).slice(0, 40),
+      minutes,
+      prompt: prompt.slice(0, 500),
+      energy,
+      genres: (Array.isArray(raw.genres) ? raw.genres : raw.genres ? [raw.genres] : []).map(String).slice(0, 5),
+      explicit: raw.explicit ?? explicit,
+      energyCurve: parseEnergyCurve(raw.energyCurve),
+    };
+  });
+
+  const total = segments.reduce((sum, s) => sum + s.minutes, 0);
+  if (total > MAX_TOTAL_MINUTES) throw httpError(400, `Segments add up to ${total} minutes (max ${MAX_TOTAL_MINUTES})`);
+  return segments;
+}
+
+// Extra system-prompt lines placing one segment within the whole mix
+function segmentGuidance({ segments, index, previousTracks, usedTracks }) {
+  const segment = segments[index];
+  const next = segments[index + 1];
+  const lines = [
+    `SEGMENT: this is part ${index + 1} of ${segments.length} ("${segment.name}") of a longer mix: ${segments.map(s => `${s.name} (${s.minutes} min)`).join(" → ")}`,
+  ];
+  if (segment.energy) lines.push(`- Keep every song's energy between ${segment.energy.min.toFixed(2)} and ${segment.energy.max.toFixed(2)}`);
+  if (segment.genres.length) lines.push(`- Genres for this segment: ${segment.genres.join(", ")}`);
+  if (previousTracks.length) {
+    const last = previousTracks[previousTracks.length - 1];
+    lines.push(`- The previous segment ends with "${last.title}" by ${last.artist} (energy ${(last.suggestedEnergy ?? 0.5).toFixed(2)}): open with a smooth transition from it`);
+  }
+  if (next) lines.push(`- The next segment is "${next.name}" (${next.prompt}): end so it can flow into it`);
+  if (usedTracks.length) {
+    lines.push("- Do not repeat songs already used earlier in the mix:");
+    lines.push(...usedTracks.slice(-40).map(t => `  - ${t.artist} – ${t.title}`));
+  }
+  return lines.join("\n");
+}
+
+/*
+  Energy curve for one segment. An explicit per-segment curve wins; otherwise
+  ramp from where the previous segment ended to the middle of the next
+  segment's range, both clamped to this segment's range, so boundaries stay smooth.
+*/
+function segmentCurve({ segments, index, previousTracks }) {
+  const segment = segments[index];
+  if (segment.energyCurve) return segment.energyCurve;
+  if (!segment.energy) return null;
+
+  const { min, max } = segment.energy;
+  const clamp = e => Math.max(min, Math.min(max, e));
+  const mid = r => (r ? (r.min + r.max) / 2 : null);
+  const prevEnd = previousTracks.length ? previousTracks[previousTracks.length - 1].suggestedEnergy : null;
+  const nextMid = mid(segments[index + 1]?.energy);
+
+  const start = clamp(typeof prevEnd === "number" ? prevEnd : mid(segment.energy));
+  const end = clamp(nextMid ?? mid(segment.energy));
+  return { preset: null, points: [[0, start], [1, end]] };
+}
+
+module.exports = { parseSegments, segmentGuidance, segmentCurve, MAX_SEGMENTS };
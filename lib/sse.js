@@ -0,0 +1,44 @@
+// Minimal Server-Sent Events helpers for long-running POST routes.
+
+const HEARTBEAT_MS = 15_000; // keeps proxies (Render, Railway) from idling the socket out
+
+function wantsEventStream(req) {
+  return String(req.get("accept") || "").includes("text/event-stream");
+}
+
+// Switches `res` to an event stream. send() is a no-op once the client has gone.
+function openEventStream(res) {
+  let closed = false;
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": ping\n\n");
+  }, HEARTBEAT_MS);
+
+  const stop = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+  res.on("close", stop);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      stop();
+      res.end();
+    },
+  };
+}
+
+module.exports = { wantsEventStream, openEventStream };
@@ -0,0 +1,90 @@
+// Versioned document store. `memory` keeps documents in-process; `file`
+// additionally persists them to a JSON file (atomic rename on every write) so
+// they survive restarts. Every document carries id, version, createdAt, updatedAt.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { httpError } = require("./httpError");
+
+function createStore({ kind = "memory", file, max = 1000, name = "document" } = {}) {
+  if (kind === "file" && !file) throw new Error(`File ${name} store needs a file path`);
+  if (kind !== "memory" && kind !== "file") throw new Error(`Unknown ${name} store "${kind}" (expected memory or file)`);
+
+  const docs = new Map();
+  const persist = kind === "file";
+
+  if (persist) {
+    try {
+      for (const doc of JSON.parse(fs.readFileSync(file, "utf8"))) docs.set(doc.id, doc);
+    } catch (e) {
+      if (e.code !== "ENOENT") throw new Error(`Could not read ${name} store ${file}: ${e.message}`);
+    }
+  }
+
+  function flush() {
+    if (!persist) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify([...docs.values()]));
+    fs.renameSync(tmp, file);
+  }
+
+  // Drop the least recently updated documents beyond `max`
+  function prune() {
+    if (docs.size <= max) return;
+    const oldest = [...docs.values()].sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+    for (const doc of oldest.slice(0, docs.size - max)) docs.delete(doc.id);
+  }
+
+  const clone = doc => (doc ? JSON.parse(JSON.stringify(doc)) : null);
+
+  return {
+    kind,
+
+    async get(id) {
+      return clone(docs.get(String(id)));
+    },
+
+    async list(filter = () => true) {
+      return [...docs.values()].filter(filter).map(clone);
+    },
+
+    async create(fields) {
+      const now = new Date().toISOString();
+      const doc = { ...clone(fields), id: crypto.randomUUID(), version: 1, createdAt: now, updatedAt: now };
+      docs.set(doc.id, doc);
+      prune();
+      flush();
+      return clone(doc);
+    },
+
+    // Compare-and-set: rejects with 409 when `expectedVersion` is stale.
+    // `keepVersion` is for bookkeeping writes that shouldn't invalidate clients.
+    async save(doc, expectedVersion = doc.version, { keepVersion = false } = {}) {
+      const current = docs.get(doc.id);
+      if (!current) throw httpError(404, `No ${name} with id ${doc.id}`);
+      if (current.version !== Number(expectedVersion)) {
+        throw httpError(409, `${name} ${doc.id} was modified (version ${current.version}, you sent ${expectedVersion})`, {
+          currentVersion: current.version,
+        });
+      }
+      const saved = {
+        ...clone(doc),
+        version: keepVersion ? current.version : current.version + 1,
+        updatedAt: new Date().toISOString(),
+      };
+      docs.set(saved.id, saved);
+      flush();
+      return clone(saved);
+    },
+
+    async delete(id) {
+      const existed = docs.delete(String(id));
+      if (existed) flush();
+      return existed;
+    },
+  };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,88 @@
+// Prompt + ranking for replacing a single track in an existing mix.
+
+const { contentRule } = require("./clean");
+const { httpError } = require("./httpError");
+const { songSchema } = require("./llm");
+
+const MAX_CANDIDATES = 8;
+
+const SWAP_SCHEMA = {
+  type: "object",
+  properties: {
+    songs: { type: "array", minItems: 1, items: songSchema() },
+  },
+  required: ["songs"],
+};
+
+function describeTrack(t) {
+  if (!t) return "(none)";
+  const energy = typeof t.suggestedEnergy === "number" ? `, energy ${t.suggestedEnergy.toFixed(2)}` : "";
+  return `"${t.title}" by ${t.artist}${energy}`;
+}
+
+// Client-sent tracks: each one an object with an id, title and artist
+function parseSwapTracks(tracks) {
+  if (!Array.isArray(tracks) || !tracks.length) throw httpError(400, "Missing tracks (or mixId)");
+  tracks.forEach((t, i) => {
+    const ok = t && typeof t === "object"
+      && (typeof t.id === "string" || typeof t.id === "number") && String(t.id)
+      && typeof t.title === "string" && t.title.trim()
+      && typeof t.artist === "string" && t.artist.trim();
+    if (!ok) throw httpError(400, `tracks[${i}] must be an object with id, title and artist`);
+  });
+  return tracks;
+}
+
+// Prompt asking for `count` alternatives that fit the slot at `index`
+function buildSwapPrompt({ tracks, index, reason, prompt, explicit, strictClean, count }) {
+  const slot = tracks[index];
+  const energy = typeof slot.suggestedEnergy === "number" ? slot.suggestedEnergy : null;
+  const position = typeof slot.suggestedPosition === "number" ? slot.suggestedPosition : index / Math.max(1, tracks.length - 1);
+
+  const system = `
+You are an expert music curator replacing ONE song in an existing playlist. Suggest REAL songs that exist on streaming platforms.
+
+PLAYLIST REQUEST: "${prompt || "(not given)"}"
+SONG TO REPLACE: ${describeTrack(slot)}
+${reason ? `WHY IT IS BEING REPLACED: "${reason}"` : ""}
+SLOT: position ${position.toFixed(2)} (0.0 = start, 1.0 = end)${energy !== null ? `, target energy ${energy.toFixed(2)}` : ""}
+PREVIOUS SONG: ${describeTrack(tracks[index - 1])}
+NEXT SONG: ${describeTrack(tracks[index + 1])}
+
+ALREADY IN THE PLAYLIST (never suggest these):
+${tracks.map(t => `- ${t.artist} – ${t.title}`).join("\n")}
+
+Return STRICT JSON:
+{
+  "songs": [
+    {
+      "artist": string,
+      "title": string,
+      "energy": number,     // 0.1-0.9
+      "rationale": string   // why it fits this slot
+    }
+  ]
+}
+
+Suggest ${count} songs, best fit first. They must flow from the previous song into the next one and address the reason given.
+Return only the JSON object, no other text.`.trim();
+
+  const user = `Suggest ${count} replacements for ${describeTrack(slot)}. ${contentRule({ explicit, strictClean })}`;
+
+  return { system, user, schema: SWAP_SCHEMA, targetEnergy: energy };
+}
+
+// Blend catalog match quality with how close the AI's energy is to the slot's
+function rankCandidates(candidates, targetEnergy) {
+  return candidates
+    .map(c => {
+      const energyFit = targetEnergy === null || typeof c.suggestedEnergy !== "number"
+        ? 0.5
+        : 1 - Math.min(1, Math.abs(c.suggestedEnergy - targetEnergy));
+      const score = (c.score ?? 0.5) * 0.6 + energyFit * 0.4;
+      return { ...c, rank: Math.round(score * 1000) / 1000 };
+    })
+    .sort((a, b) => b.rank - a.rank);
+}
+
+module.exports = { parseSwapTracks, buildSwapPrompt, rankCandidates, MAX_CANDIDATES };
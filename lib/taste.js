@@ -0,0 +1,143 @@
+// Personalisation: a compact taste profile built from the user's library and
+// listening history, and the plan guidance for each personalisation mode.
+
+const { httpError } = require("./httpError");
+
+const MODES = {
+  familiar: "familiar favourites",
+  discover: "discover new",
+  balanced: "balanced",
+};
+// What `personalize: true` means; without `personalize` the history isn't read
+const DEFAULT_MODE = "balanced";
+
+const norm = s => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+const isRealGenre = g => g && g.toLowerCase() !== "music";
+
+// `personalize`: a mode name or true; false or nothing ignores the user's
+// history (a userToken alone is only there to publish, or for seeds)
+function parsePersonalize(input, { userToken }) {
+  if (input === undefined || input === null || input === false || !userToken) return null;
+  if (input === true) return DEFAULT_MODE;
+  const mode = String(input).toLowerCase();
+  if (!MODES[mode]) {
+    throw httpError(400, `Unknown personalize mode "${input}" (expected one of: ${Object.keys(MODES).join(", ")}, true or false)`);
+  }
+  return mode;
+}
+
+// Most frequent values first, as [{ name, count }]
+function ranked(values, limit) {
+  const counts = new Map();
+  const names = new Map();
+  for (const v of values) {
+    const key = norm(v);
+    if (!key) continue;
+    counts.set(key, (counts.get(key) || 0) + 1);
+    if (!names.has(key)) names.set(key, v);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key, count]) => ({ name: names.get(key), count }));
+}
+
+/*
+  { library, heavyRotation, recent } from provider.getListeningHistory() →
+  {
+    librarySize, topArtists, recentArtists, heavyRotation, topGenres, decades,
+    depth: "deep" | "mainstream" | "mixed",   // many songs per artist → album listener
+    libraryIds, librarySongs                  // for excluding known songs
+  }
+  Recent plays and heavy rotation count double towards top artists.
+*/
+function buildTasteProfile({ library = [], heavyRotation = [], recent = [] }) {
+  const artists = [
+    ...library.map(t => t.artist),
+    ...recent.flatMap(t => [t.artist, t.artist]),
+    ...heavyRotation.flatMap(h => [h.artist, h.artist]),
+  ];
+  const genres = [...library, ...recent, ...heavyRotation].flatMap(t => (t.genreNames || []).filter(isRealGenre));
+  const decades = ranked(
+    [...library, ...recent]
+      .map(t => Number(String(t.releaseDate || "").slice(0, 4)))
+      .filter(y => y > 1900)
+      .map(y => `${Math.floor(y / 10) * 10}s`),
+    4
+  );
+
+  const distinctArtists = new Set(library.map(t => norm(t.artist))).size;
+  const songsPerArtist = distinctArtists ? library.length / distinctArtists : 0;
+  const depth = library.length < 20 ? "mixed" : songsPerArtist >= 4 ? "deep" : songsPerArtist <= 1.5 ? "mainstream" : "mixed";
+
+  return {
+    librarySize: library.length,
+    topArtists: ranked(artists, 12),
+    recentArtists: ranked(recent.map(t => t.artist), 6).map(a => a.name),
+    heavyRotation: heavyRotation.slice(0, 8).map(h => (h.artist && h.artist !== h.name ? `${h.name} (${h.artist})` : h.name)),
+    topGenres: ranked(genres, 6).map(g => g.name),
+    decades: decades.map(d => d.name),
+    depth,
+    libraryIds: library.map(t => String(t.id)),
+    librarySongs: library.map(t => ({ artist: t.artist, title: t.title })),
+  };
+}
+
+const DEPTH_LEVEL = {
+  deep: {
+    description: "Deep cuts and album tracks preferred (the listener digs deep into artists' catalogs)",
+    guidelines: "- Aim for 60% album tracks and deep cuts, 40% well-known songs",
+  },
+  mainstream: {
+    description: "Popular hits preferred (the listener's library is mostly singles and hits)",
+    guidelines: "- Aim for 75% hits, 25% popular album tracks",
+  },
+  mixed: {
+    description: "Balanced mix of popular and interesting tracks",
+    guidelines: "- Aim for 50% hits, 50% album tracks and deep cuts",
+  },
+};
+
+// Replaces the prompt-keyword taste level in the AI plan when a profile exists
+function tasteLevelFromProfile(profile, mode) {
+  const level = DEPTH_LEVEL[profile.depth];
+  const favourites = profile.topArtists.slice(0, 8).map(a => a.name).join(", ") || "(unknown)";
+  const lines = [
+    `LISTENER PROFILE (${MODES[mode]}):`,
+    `- Favourite artists: ${favourites}`,
+    profile.recentArtists.length ? `- Recently played: ${profile.recentArtists.join(", ")}` : "",
+    profile.heavyRotation.length ? `- Heavy rotation: ${profile.heavyRotation.join("; ")}` : "",
+    profile.topGenres.length ? `- Genres: ${profile.topGenres.join(", ")}` : "",
+    profile.decades.length ? `- Eras: ${profile.decades.join(", ")}` : "",
+    level.guidelines,
+  ];
+  if (mode === "familiar") {
+    lines.push(
+      "- Build most of the playlist (about 70%) from the favourite artists and songs the listener knows",
+      "- Fill the rest with close neighbours of those artists"
+    );
+  } else if (mode === "discover") {
+    lines.push(
+      "- Suggest songs the listener is unlikely to know: avoid the favourite artists' best-known songs",
+      "- Prefer artists similar to the favourites that are not listed above",
+      "- The listener's library songs are excluded from the result, so don't suggest them"
+    );
+  } else {
+    lines.push("- Mix about half familiar favourites with half new discoveries that suit the listener's taste");
+  }
+  lines.push("- The playlist request always wins over the profile when they conflict");
+  return { description: level.description, guidelines: lines.filter(Boolean).join("\n") };
+}
+
+// Small summary for the response; never includes the library itself
+function tasteSummary(profile, mode) {
+  return {
+    mode,
+    librarySize: profile.librarySize,
+    topArtists: profile.topArtists.slice(0, 5).map(a => a.name),
+    topGenres: profile.topGenres.slice(0, 5),
+    depth: profile.depth,
+  };
+}
+
+module.exports = { MODES, parsePersonalize, buildTasteProfile, tasteLevelFromProfile, tasteSummary };
@@ -0,0 +1,63 @@
+// Outbound throttling for upstream APIs: a token bucket shared by every call
+// to one host, plus 429 handling that honours Retry-After.
+
+const { logger } = require("./log");
+
+const MAX_RETRY_WAIT_MS = 30_000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// `ratePerSec` tokens refill continuously up to `burst`; take() waits for one.
+function createTokenBucket({ ratePerSec = 20, burst = ratePerSec } = {}) {
+  let tokens = burst;
+  let last = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 1000) * ratePerSec);
+    last = now;
+  }
+
+  return {
+    // Calls are chained so waiters are served in arrival order
+    take() {
+      queue = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await sleep(((1 - tokens) / ratePerSec) * 1000);
+          refill();
+        }
+        tokens -= 1;
+      });
+      return queue;
+    },
+  };
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// Wraps a fetch implementation: every attempt takes a bucket token, and 429s
+// are retried up to `maxRetries` times (Retry-After, else exponential backoff).
+function createThrottledFetch({ fetchImpl, bucket, maxRetries = 3, baseDelayMs = 1_000 }) {
+  return async function throttledFetch(url, options) {
+    for (let attempt = 0; ; attempt++) {
+      if (bucket) await bucket.take();
+      const r = await fetchImpl(url, options);
+      if (r.status !== 429 || attempt >= maxRetries) return r;
+
+      const wait = parseRetryAfter(r.headers.get("retry-after")) ?? baseDelayMs * 2 ** attempt;
+      logger.warn("Upstream rate limited, retrying", { host: new URL(String(url)).host, waitMs: wait, attempt: attempt + 1, maxRetries });
+      await sleep(Math.min(wait, MAX_RETRY_WAIT_MS));
+    }
+  };
+}
+
+module.exports = { createTokenBucket, createThrottledFetch, parseRetryAfter, sleep };
@@ -0,0 +1,95 @@
+// Track objects in API responses.
+//   version 1 (default)  the original compact shape: id, title, artist,
+//                        durationMs, match, cleanOf
+//   version 2            catalog fields (album, release date and year, genres,
+//                        ISRC, artwork, 30-second preview, web URL), the AI's
+//                        energy, position and rationale, and the match
+// `fields` picks the shape: "full", "compact", or a list of version 2 fields
+// (id is always included).
+
+const { httpError } = require("./httpError");
+const { catalogUrl } = require("./exports");
+
+const TRACK_VERSION = 2;
+const ARTWORK_SIZE = 600;
+
+const FULL_FIELDS = [
+  "id", "title", "artist", "durationMs", "album", "releaseDate", "releaseYear", "genreNames", "contentRating",
+  "isrc", "artwork", "previewUrl", "url", "energy", "energySource", "position", "rationale", "matchConfidence",
+  "match", "source", "pinned", "segment", "cleanOf",
+];
+
+// -> { version, pick } where pick is null (every field) or the fields to keep.
+// Existing clients keep the compact shape until they ask for more.
+function parseTrackFields(input) {
+  if (input === undefined || input === null || input === "compact") return { version: 1, pick: null };
+  if (input === "full") return { version: TRACK_VERSION, pick: null };
+  const names = Array.isArray(input) ? input.map(String) : typeof input === "string" ? input.split(",").map(s => s.trim()) : null;
+  if (!names || !names.length) throw httpError(400, `fields must be "full", "compact" or a list of: ${FULL_FIELDS.join(", ")}`);
+  const unknown = names.filter(n => !FULL_FIELDS.includes(n));
+  if (unknown.length) throw httpError(400, `Unknown track field(s): ${unknown.join(", ")}`);
+  return { version: TRACK_VERSION, pick: [...new Set(["id", ...names])] };
+}
+
+function compactTrack(t) {
+  return {
+    id: t.id,
+    title: t.title,
+    artist: t.artist,
+    durationMs: t.durationMs,
+    match: t.match || null,
+    ...(t.cleanOf && { cleanOf: t.cleanOf }),
+  };
+}
+
+// Apple artwork URLs are templates ("{w}x{h}bb.jpg"); Spotify's are plain URLs
+function artworkView(artwork) {
+  if (!artwork?.url) return null;
+  const size = Math.min(ARTWORK_SIZE, artwork.width || ARTWORK_SIZE);
+  return {
+    template: artwork.url,
+    width: artwork.width || null,
+    height: artwork.height || null,
+    url: artwork.url.replace("{w}", String(size)).replace("{h}", String(size)),
+  };
+}
+
+function fullTrack(t, { provider, storefront }) {
+  const year = Number(String(t.releaseDate || "").slice(0, 4)) || null;
+  return {
+    id: t.id,
+    title: t.title,
+    artist: t.artist,
+    durationMs: t.durationMs,
+    album: t.albumName || null,
+    releaseDate: t.releaseDate || null,
+    releaseYear: year,
+    genreNames: t.genreNames || [],
+    contentRating: t.contentRating || null,
+    isrc: t.isrc || null,
+    artwork: artworkView(t.artwork),
+    previewUrl: t.previewUrl || null,
+    url: t.url || catalogUrl(provider, storefront, t.id) || null,
+    energy: typeof t.suggestedEnergy === "number" ? t.suggestedEnergy : null,
+    energySource: t.energySource || null,
+    position: typeof t.suggestedPosition === "number" ? t.suggestedPosition : null,
+    rationale: t.rationale || null,
+    matchConfidence: t.match?.confidence ?? t.score ?? null,
+    match: t.match || null,
+    source: t.source || "ai",
+    pinned: Boolean(t.pinned),
+    segment: t.segment ?? null,
+    cleanOf: t.cleanOf || null,
+  };
+}
+
+// -> (track) => the response object for it; `context` gives the catalog URL's provider/storefront
+function trackRenderer({ version, pick }, context) {
+  if (version === 1) return compactTrack;
+  return t => {
+    const full = fullTrack(t, context);
+    return pick ? Object.fromEntries(pick.map(k => [k, full[k]])) : full;
+  };
+}
+
+module.exports = { parseTrackFields, trackRenderer, compactTrack, TRACK_VERSION, FULL_FIELDS };
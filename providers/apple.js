@@ -0,0 +1,230 @@
+// Apple Music adapter — catalog search/charts + library playlist writes.
+// baseUrl is overridable so the adapter can be pointed at a local stub server.
+
+const fetch = require("node-fetch");
+const { ProviderError } = require("./errors");
+
+function createAppleProvider({
+  baseUrl = "https://api.music.apple.com",
+  signDevToken,
+  fetchImpl = fetch,
+} = {}) {
+  const root = baseUrl.replace(/\/+$/, "");
+
+  function userHeaders(developerToken, userToken) {
+    return {
+      Authorization: `Bearer ${developerToken}`,
+      "Music-User-Token": userToken,
+      "Content-Type": "application/json",
+    };
+  }
+
+  return {
+    name: "apple",
+
+    // Server-side token for catalog calls (developer JWT)
+    async getCatalogToken(ttlSeconds = 10 * 60) {
+      if (!signDevToken) throw new Error("Apple provider has no developer token signer");
+      return signDevToken(ttlSeconds);
+    },
+
+    async searchSongs({ q, storefront = "us", limit = 25, developerToken }) {
+      const url = new URL(`${root}/v1/catalog/${encodeURIComponent(storefront)}/search`);
+      url.searchParams.set("types", "songs");
+      url.searchParams.set("limit", String(limit));
+      url.searchParams.set("term", q);
+
+      const r = await fetchImpl(url, { headers: { Authorization: `Bearer ${developerToken}` } });
+      const txt = await r.text();
+      if (!r.ok) return [];
+      try {
+        const j = JSON.parse(txt);
+        return toTracks(j?.results?.songs?.data);
+      } catch {
+        return [];
+      }
+    },
+
+    async chartsSongs({ storefront = "us", limit = 50, developerToken }) {
+      const url = new URL(`${root}/v1/catalog/${encodeURIComponent(storefront)}/charts`);
+      url.searchParams.set("types", "songs");
+      url.searchParams.set("limit", String(Math.min(limit, 50)));
+      const r = await fetchImpl(url, { headers: { Authorization: `Bearer ${developerToken}` } });
+      const txt = await r.text();
+      if (!r.ok) return [];
+      try {
+        const j = JSON.parse(txt);
+        return toTracks(j?.results?.songs?.[0]?.data);
+      } catch {
+        return [];
+      }
+    },
+
+    async getSongs({ ids = [], storefront = "us", developerToken }) {
+      if (!ids.length) return [];
+      const url = new URL(`${root}/v1/catalog/${encodeURIComponent(storefront)}/songs`);
+      url.searchParams.set("ids", ids.join(","));
+      const r = await fetchImpl(url, { headers: { Authorization: `Bearer ${developerToken}` } });
+      const txt = await r.text();
+      if (!r.ok) return [];
+      try {
+        return toTracks(JSON.parse(txt)?.data);
+      } catch {
+        return [];
+      }
+    },
+
+    // The storefront's releases of these recordings (up to 25 ISRCs per call)
+    async getSongsByIsrc({ isrcs = [], storefront = "us", developerToken }) {
+      if (!isrcs.length) return [];
+      const url = new URL(`${root}/v1/catalog/${encodeURIComponent(storefront)}/songs`);
+      url.searchParams.set("filter[isrc]", isrcs.slice(0, 25).join(","));
+      const r = await fetchImpl(url, { headers: { Authorization: `Bearer ${developerToken}` } });
+      const txt = await r.text();
+      // A failed lookup isn't "no local release": the caller reports it as such
+      if (!r.ok) throw new ProviderError(r.status, txt);
+      try {
+        return toTracks(JSON.parse(txt)?.data);
+      } catch {
+        throw new ProviderError(502, "ISRC lookup returned invalid JSON");
+      }
+    },
+
+    // Album, artist (top songs), catalog playlist or library playlist with its
+    // songs; null when Apple doesn't know the id
+    async getCollection({ kind, id, storefront = "us", developerToken, userToken }) {
+      const path = {
+        album: `/v1/catalog/${encodeURIComponent(storefront)}/albums/${encodeURIComponent(id)}`,
+        artist: `/v1/catalog/${encodeURIComponent(storefront)}/artists/${encodeURIComponent(id)}?views=top-songs`,
+        playlist: `/v1/catalog/${encodeURIComponent(storefront)}/playlists/${encodeURIComponent(id)}?include=tracks`,
+        "library-playlist": `/v1/me/library/playlists/${encodeURIComponent(id)}?include=tracks`,
+      }[kind];
+      if (!path) throw new Error(`Unknown collection kind "${kind}"`);
+      const headers = kind === "library-playlist"
+        ? userHeaders(developerToken, userToken)
+        : { Authorization: `Bearer ${developerToken}` };
+
+      const r = await fetchImpl(`${root}${path}`, { headers });
+      const txt = await r.text();
+      if (r.status === 404) return null;
+      if (!r.ok) throw new ProviderError(r.status, txt);
+      const d = JSON.parse(txt)?.data?.[0];
+      if (!d) return null;
+
+      let items = kind === "artist" ? d.views?.["top-songs"]?.data : d.relationships?.tracks?.data;
+      items = (items || []).filter(i => i.type === "songs" || i.type === "library-songs");
+      if (kind === "library-playlist") {
+        // Library songs carry their catalog id in playParams; skip uploads without one
+        items = items
+          .filter(i => i.attributes?.playParams?.catalogId)
+          .map(i => ({ ...i, id: i.attributes.playParams.catalogId }));
+      }
+      return {
+        kind,
+        id,
+        name: d.attributes?.name || "",
+        artist: d.attributes?.artistName || d.attributes?.curatorName || "",
+        genreNames: d.attributes?.genreNames || [],
+        tracks: toTracks(items),
+      };
+    },
+
+    // What the user listens to: library songs (catalog ids where known), heavy
+    // rotation albums/playlists and recently played songs. An auth failure
+    // throws; any other failing endpoint just contributes nothing.
+    async getListeningHistory({ developerToken, userToken, libraryPages = 3 }) {
+      const headers = userHeaders(developerToken, userToken);
+      async function getData(path) {
+        const r = await fetchImpl(`${root}${path}`, { headers });
+        const txt = await r.text();
+        if (r.status === 401 || r.status === 403) throw new ProviderError(r.status, txt);
+        if (!r.ok) return { data: [] };
+        try {
+          return JSON.parse(txt);
+        } catch {
+          return { data: [] };
+        }
+      }
+
+      const library = [];
+      let next = "/v1/me/library/songs?limit=100";
+      for (let page = 0; next && page < libraryPages; page++) {
+        const j = await getData(next);
+        library.push(...(j.data || []).map(d => ({ ...d, id: d.attributes?.playParams?.catalogId || d.id })));
+        next = j.next || null;
+      }
+      const [heavy, recent] = await Promise.all([
+        getData("/v1/me/history/heavy-rotation?limit=10"),
+        getData("/v1/me/recent/played/tracks?limit=30"),
+      ]);
+      return {
+        library: toTracks(library),
+        heavyRotation: (heavy.data || []).map(d => ({
+          name: d.attributes?.name || "",
+          artist: d.attributes?.artistName || d.attributes?.curatorName || "",
+          genreNames: d.attributes?.genreNames || [],
+        })).filter(x => x.name),
+        recent: toTracks(recent.data),
+      };
+    },
+
+    async createPlaylist({ name, description, developerToken, userToken }) {
+      const r = await fetchImpl(`${root}/v1/me/library/playlists`, {
+        method: "POST",
+        headers: userHeaders(developerToken, userToken),
+        body: JSON.stringify({ attributes: { name, description } }),
+      });
+      const txt = await r.text();
+      if (!r.ok) throw new ProviderError(r.status, txt);
+      const playlistId = JSON.parse(txt)?.data?.[0]?.id;
+      if (!playlistId) throw new ProviderError(400, "Create failed (no id)");
+      return { playlistId };
+    },
+
+    // Apple responds 204 on success
+    async addTracks({ playlistId, ids = [], developerToken, userToken }) {
+      if (!ids.length) return { added: 0 };
+      const r = await fetchImpl(`${root}/v1/me/library/playlists/${playlistId}/tracks`, {
+        method: "POST",
+        headers: userHeaders(developerToken, userToken),
+        body: JSON.stringify({ data: ids.map(id => ({ id, type: "songs" })) }),
+      });
+      if (!r.ok) throw new ProviderError(r.status, await r.text());
+      return { added: ids.length };
+    },
+
+    async getUserStorefront({ developerToken, userToken }) {
+      const r = await fetchImpl(`${root}/v1/me/storefront`, {
+        headers: userHeaders(developerToken, userToken),
+      });
+      const txt = await r.text();
+      if (!r.ok) throw new ProviderError(r.status, txt);
+      const id = JSON.parse(txt)?.data?.[0]?.id;
+      if (!id) throw new ProviderError(400, "Storefront lookup failed (no id)");
+      return id;
+    },
+  };
+}
+
+function toTracks(items) {
+  return (items || []).map(d => ({
+    id: d.id,
+    title: d?.attributes?.name,
+    artist: d?.attributes?.artistName,
+    durationMs: d?.attributes?.durationInMillis || 0,
+    contentRating: d?.attributes?.contentRating || "",
+    genreNames: d?.attributes?.genreNames || [],
+    releaseDate: d?.attributes?.releaseDate || "",
+    albumName: d?.attributes?.albumName || "",
+    isrc: d?.attributes?.isrc || "",
+    // Apple only sends playParams for songs that can be streamed in the storefront
+    playable: Boolean(d?.attributes?.playParams),
+    previewUrl: d?.attributes?.previews?.[0]?.url || null,
+    url: d?.attributes?.url || null,
+    artwork: d?.attributes?.artwork
+      ? { url: d.attributes.artwork.url, width: d.attributes.artwork.width, height: d.attributes.artwork.height }
+      : null,
+  })).filter(x => x.id && x.title && x.artist);
+}
+
+module.exports = { createAppleProvider };
@@ -0,0 +1,12 @@
+// Upstream error carrying the provider's HTTP status and raw body, so routes
+// can pass Apple/Spotify failures back to the client unchanged.
+class ProviderError extends Error {
+  constructor(status, body) {
+    super(`Provider request failed (${status})`);
+    this.name = "ProviderError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+module.exports = { ProviderError };
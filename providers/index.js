@@ -0,0 +1,100 @@
+// Music provider registry. Every adapter exposes the same surface:
+//   name
+//   getCatalogToken()                                   -> server-side token for catalog calls
+//   searchSongs({ q, storefront, limit, developerToken }) -> [{ id, title, artist, durationMs, contentRating,
+//                                                             genreNames, releaseDate, albumName, isrc, artwork,
+//                                                             playable, linkedFrom?, previewUrl, url }]
+//   chartsSongs({ storefront, limit, developerToken })    -> same shape as searchSongs
+//   getSongs({ ids, storefront, developerToken })         -> catalog lookup by id, same shape
+//   getSongsByIsrc({ isrcs, storefront, developerToken }) -> the storefront's tracks with these ISRCs (<= 25);
+//                                                            throws when the lookup fails
+//   getCollection({ kind, id, storefront, developerToken, userToken })
+//                                                       -> { kind, id, name, artist, genreNames, tracks } or null;
+//                                                          kind: album | artist | playlist | library-playlist
+//   getListeningHistory({ developerToken, userToken })               -> { library, heavyRotation, recent }
+//   createPlaylist({ name, description, developerToken, userToken }) -> { playlistId }
+//   addTracks({ playlistId, ids, developerToken, userToken })         -> { added }
+//   replaceTracks({ playlistId, ids, developerToken, userToken })     -> { added }  (optional: Apple Music
+//                                                                        can't remove library playlist tracks)
+//   getUserStorefront({ developerToken, userToken })                  -> storefront / market code
+// Upstream failures on write calls throw ProviderError (status + raw body).
+//
+// Each adapter gets its own token bucket (CATALOG_RATE_PER_SEC / CATALOG_BURST)
+// with 429 retries, and searchSongs() is served from `searchCache` when given.
+// `wrapFetch(fetch, { upstream, Response })` lets the caller intercept every
+// upstream call (record/replay, lib/cassette.js).
+
+const fetch = require("node-fetch");
+
+const { createAppleProvider } = require("./apple");
+const { createSpotifyProvider } = require("./spotify");
+const { ProviderError } = require("./errors");
+const { createTokenBucket, createThrottledFetch } = require("../lib/throttle");
+const { httpError } = require("../lib/httpError");
+const { metrics } = require("../lib/metrics");
+
+const DEFAULT_PROVIDER = "apple";
+
+function createProviders({ signDevToken, searchCache, wrapFetch = f => f, env = process.env } = {}) {
+  const ratePerSec = Number(env.CATALOG_RATE_PER_SEC) || 20;
+  const throttled = upstream => createThrottledFetch({
+    fetchImpl: wrapFetch(fetch, { upstream, Response: fetch.Response }),
+    bucket: createTokenBucket({ ratePerSec, burst: Number(env.CATALOG_BURST) || ratePerSec }),
+    maxRetries: env.CATALOG_MAX_RETRIES !== undefined ? Number(env.CATALOG_MAX_RETRIES) : 3,
+  });
+
+  const providers = {
+    apple: createAppleProvider({
+      baseUrl: env.APPLE_MUSIC_API_BASE || undefined,
+      signDevToken,
+      fetchImpl: throttled("apple"),
+    }),
+    spotify: createSpotifyProvider({
+      baseUrl: env.SPOTIFY_API_BASE || undefined,
+      accountsUrl: env.SPOTIFY_ACCOUNTS_BASE || undefined,
+      clientId: env.SPOTIFY_CLIENT_ID,
+      clientSecret: env.SPOTIFY_CLIENT_SECRET,
+      chartsPlaylistId: env.SPOTIFY_CHARTS_PLAYLIST_ID || undefined,
+      fetchImpl: throttled("spotify"),
+    }),
+  };
+  if (searchCache) {
+    for (const provider of Object.values(providers)) withSearchCache(provider, searchCache);
+  }
+
+  return function getProvider(name = DEFAULT_PROVIDER) {
+    const provider = providers[String(name || DEFAULT_PROVIDER).toLowerCase()];
+    if (!provider) {
+      throw httpError(400, `Unknown provider "${name}" (expected one of: ${Object.keys(providers).join(", ")})`);
+    }
+    return provider;
+  };
+}
+
+// Caches non-empty search results per provider + storefront + term. Empty
+// results are not cached since searchSongs() also returns [] on upstream errors.
+// Every search is counted in vibecraft_catalog_searches_total by source.
+function withSearchCache(provider, cache) {
+  const search = provider.searchSongs;
+  provider.searchSongs = async params => {
+    const { q, storefront = "us", limit = 25 } = params;
+    const key = `${provider.name}:${storefront}:${limit}:${String(q).trim().toLowerCase()}`;
+    const cached = cache.get(key);
+    metrics.catalogSearches.inc({ provider: provider.name, storefront, source: cached ? "cache" : "api" });
+    if (cached) return cached.map(t => ({ ...t }));
+
+    const results = await search(params);
+    if (results.length) cache.set(key, results);
+    return results.map(t => ({ ...t }));
+  };
+  return provider;
+}
+
+module.exports = {
+  createProviders,
+  createAppleProvider,
+  createSpotifyProvider,
+  ProviderError,
+  DEFAULT_PROVIDER,
+  withSearchCache,
+};
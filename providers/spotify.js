@@ -0,0 +1,254 @@
+// Spotify adapter — same surface as the Apple adapter.
+// Catalog calls use a client-credentials app token; playlist/market calls use
+// the user's OAuth access token (passed as userToken).
+
+const fetch = require("node-fetch");
+const { ProviderError } = require("./errors");
+
+const ADD_BATCH = 100; // Spotify caps track adds per request
+
+function createSpotifyProvider({
+  baseUrl = "https://api.spotify.com",
+  accountsUrl = "https://accounts.spotify.com",
+  clientId,
+  clientSecret,
+  chartsPlaylistId = "37i9dQZEVXbMDoHDwVN2tF", // Top 50 - Global
+  fetchImpl = fetch,
+} = {}) {
+  const root = baseUrl.replace(/\/+$/, "");
+  const accounts = accountsUrl.replace(/\/+$/, "");
+  let appToken = null; // { token, expiresAt }
+
+  async function getJson(url, token) {
+    const r = await fetchImpl(url, { headers: { Authorization: `Bearer ${token}` } });
+    const txt = await r.text();
+    if (!r.ok) throw new ProviderError(r.status, txt);
+    return JSON.parse(txt);
+  }
+
+  async function getMe(userToken) {
+    return getJson(`${root}/v1/me`, userToken);
+  }
+
+  return {
+    name: "spotify",
+
+    // Client-credentials token, reused until a minute before expiry
+    async getCatalogToken() {
+      if (appToken && appToken.expiresAt - 60_000 > Date.now()) return appToken.token;
+      if (!clientId || !clientSecret) throw new Error("Missing Spotify client credentials");
+      const r = await fetchImpl(`${accounts}/api/token`, {
+        method: "POST",
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString("base64")}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: "grant_type=client_credentials",
+      });
+      const txt = await r.text();
+      if (!r.ok) throw new ProviderError(r.status, txt);
+      const j = JSON.parse(txt);
+      appToken = { token: j.access_token, expiresAt: Date.now() + (j.expires_in || 3600) * 1000 };
+      return appToken.token;
+    },
+
+    async searchSongs({ q, storefront = "us", limit = 25, developerToken }) {
+      const url = new URL(`${root}/v1/search`);
+      url.searchParams.set("type", "track");
+      url.searchParams.set("limit", String(Math.min(limit, 50)));
+      url.searchParams.set("market", storefront.toUpperCase());
+      url.searchParams.set("q", q);
+      try {
+        const j = await getJson(url, developerToken);
+        return toTracks(j?.tracks?.items);
+      } catch {
+        return [];
+      }
+    },
+
+    // Spotify has no charts endpoint; read the configured chart playlist instead
+    async chartsSongs({ storefront = "us", limit = 50, developerToken }) {
+      const url = new URL(`${root}/v1/playlists/${chartsPlaylistId}/tracks`);
+      url.searchParams.set("limit", String(Math.min(limit, 50)));
+      url.searchParams.set("market", storefront.toUpperCase());
+      try {
+        const j = await getJson(url, developerToken);
+        return toTracks((j?.items || []).map(i => i?.track));
+      } catch {
+        return [];
+      }
+    },
+
+    async getSongs({ ids = [], storefront = "us", developerToken }) {
+      if (!ids.length) return [];
+      const url = new URL(`${root}/v1/tracks`);
+      url.searchParams.set("ids", ids.slice(0, 50).join(","));
+      url.searchParams.set("market", storefront.toUpperCase());
+      try {
+        const j = await getJson(url, developerToken);
+        return toTracks(j?.tracks);
+      } catch {
+        return [];
+      }
+    },
+
+    // One search per ISRC: Spotify has no batch ISRC lookup
+    async getSongsByIsrc({ isrcs = [], storefront = "us", developerToken }) {
+      const found = [];
+      for (const isrc of isrcs) {
+        const url = new URL(`${root}/v1/search`);
+        url.searchParams.set("type", "track");
+        url.searchParams.set("limit", "5");
+        url.searchParams.set("market", storefront.toUpperCase());
+        url.searchParams.set("q", `isrc:${isrc}`);
+        // A failure fails the whole batch, so it's reported rather than taken for "no local release"
+        found.push(...toTracks((await getJson(url, developerToken))?.tracks?.items));
+      }
+      return found;
+    },
+
+    // Album, artist (top tracks) or playlist with its tracks; null for an
+    // unknown id. Library playlists are read with the user's token.
+    async getCollection({ kind, id, storefront = "us", developerToken, userToken }) {
+      const market = storefront.toUpperCase();
+      const ref = encodeURIComponent(id);
+      try {
+        if (kind === "album") {
+          const a = await getJson(`${root}/v1/albums/${ref}?market=${market}`, developerToken);
+          const album = { name: a.name, release_date: a.release_date, images: a.images };
+          return {
+            kind,
+            id,
+            name: a.name || "",
+            artist: (a.artists || []).map(x => x.name).join(", "),
+            genreNames: a.genres || [],
+            tracks: toTracks((a.tracks?.items || []).map(t => ({ ...t, album }))),
+          };
+        }
+        if (kind === "artist") {
+          const a = await getJson(`${root}/v1/artists/${ref}`, developerToken);
+          const top = await getJson(`${root}/v1/artists/${ref}/top-tracks?market=${market}`, developerToken);
+          return { kind, id, name: a.name || "", artist: a.name || "", genreNames: a.genres || [], tracks: toTracks(top.tracks) };
+        }
+        if (kind === "playlist" || kind === "library-playlist") {
+          const token = kind === "library-playlist" ? userToken : developerToken;
+          const p = await getJson(`${root}/v1/playlists/${ref}?market=${market}`, token);
+          return {
+            kind,
+            id,
+            name: p.name || "",
+            artist: p.owner?.display_name || "",
+            genreNames: [],
+            tracks: toTracks((p.tracks?.items || []).map(i => i?.track)),
+          };
+        }
+      } catch (e) {
+        if (e instanceof ProviderError && (e.status === 404 || e.status === 400)) return null;
+        throw e;
+      }
+      throw new Error(`Unknown collection kind "${kind}"`);
+    },
+
+    // Saved tracks, top artists (as heavy rotation) and recently played
+    // tracks. An auth failure throws; other failing endpoints are skipped.
+    async getListeningHistory({ userToken, libraryPages = 3 }) {
+      async function getOrEmpty(url) {
+        try {
+          return await getJson(url, userToken);
+        } catch (e) {
+          if (e.status === 401 || e.status === 403) throw e;
+          return {};
+        }
+      }
+
+      const library = [];
+      let next = `${root}/v1/me/tracks?limit=50`;
+      for (let page = 0; next && page < libraryPages; page++) {
+        const j = await getOrEmpty(next);
+        library.push(...(j.items || []).map(i => i?.track));
+        next = j.next || null;
+      }
+      const [top, recent] = await Promise.all([
+        getOrEmpty(`${root}/v1/me/top/artists?limit=10`),
+        getOrEmpty(`${root}/v1/me/player/recently-played?limit=30`),
+      ]);
+      return {
+        library: toTracks(library),
+        heavyRotation: (top.items || []).map(a => ({ name: a.name || "", artist: a.name || "", genreNames: a.genres || [] })).filter(x => x.name),
+        recent: toTracks((recent.items || []).map(i => i?.track)),
+      };
+    },
+
+    async createPlaylist({ name, description, userToken }) {
+      const me = await getMe(userToken);
+      const r = await fetchImpl(`${root}/v1/users/${encodeURIComponent(me.id)}/playlists`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${userToken}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ name, description, public: false }),
+      });
+      const txt = await r.text();
+      if (!r.ok) throw new ProviderError(r.status, txt);
+      const playlistId = JSON.parse(txt)?.id;
+      if (!playlistId) throw new ProviderError(400, "Create failed (no id)");
+      return { playlistId };
+    },
+
+    async addTracks({ playlistId, ids = [], userToken }) {
+      let added = 0;
+      for (let i = 0; i < ids.length; i += ADD_BATCH) {
+        const batch = ids.slice(i, i + ADD_BATCH);
+        const r = await fetchImpl(`${root}/v1/playlists/${playlistId}/tracks`, {
+          method: "POST",
+          headers: { Authorization: `Bearer ${userToken}`, "Content-Type": "application/json" },
+          body: JSON.stringify({ uris: batch.map(id => `spotify:track:${id}`) }),
+        });
+        if (!r.ok) throw new ProviderError(r.status, await r.text());
+        added += batch.length;
+      }
+      return { added };
+    },
+
+    // Replaces every track of the playlist with `ids` (up to 100; add the rest after)
+    async replaceTracks({ playlistId, ids = [], userToken }) {
+      const r = await fetchImpl(`${root}/v1/playlists/${playlistId}/tracks`, {
+        method: "PUT",
+        headers: { Authorization: `Bearer ${userToken}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ uris: ids.slice(0, ADD_BATCH).map(id => `spotify:track:${id}`) }),
+      });
+      if (!r.ok) throw new ProviderError(r.status, await r.text());
+      return { added: Math.min(ids.length, ADD_BATCH) };
+    },
+
+    // Spotify's "market" is the user's country code
+    async getUserStorefront({ userToken }) {
+      const me = await getMe(userToken);
+      if (!me?.country) throw new ProviderError(400, "Market lookup failed (no country)");
+      return me.country.toLowerCase();
+    },
+  };
+}
+
+function toTracks(items) {
+  return (items || []).filter(Boolean).map(d => ({
+    id: d.id,
+    title: d.name,
+    artist: (d.artists || []).map(a => a.name).join(", "),
+    durationMs: d.duration_ms || 0,
+    contentRating: d.explicit ? "explicit" : "",
+    genreNames: [], // Spotify only has genres on artists, not tracks
+    releaseDate: d.album?.release_date || "",
+    albumName: d.album?.name || "",
+    isrc: d.external_ids?.isrc || "",
+    // With a market, Spotify flags unplayable tracks and relinks others to the
+    // market's copy (the requested id is then in linked_from)
+    playable: d.is_playable !== false,
+    ...(d.linked_from?.id && { linkedFrom: d.linked_from.id }),
+    previewUrl: d.preview_url || null,
+    url: d.external_urls?.spotify || null,
+    artwork: d.album?.images?.[0]
+      ? { url: d.album.images[0].url, width: d.album.images[0].width, height: d.album.images[0].height }
+      : null,
+  })).filter(x => x.id && x.title && x.artist);
+}
+
+module.exports = { createSpotifyProvider };
@@ -0,0 +1,111 @@
+// Cron parsing (lib/cron.js), the shortest gap between runs, and how
+// parseScheduleInput (lib/schedules.js) uses it to turn down schedules that
+// run too often or never.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseCron, nextRun, shortestInterval } = require("../lib/cron");
+const { parseScheduleInput } = require("../lib/schedules");
+
+const sorted = set => [...set].sort((a, b) => a - b);
+const range = (from, to, step = 1) => Array.from({ length: Math.floor((to - from) / step) + 1 }, (_, i) => from + i * step);
+
+const FIELD_CASES = [
+  // [expression, field, expected values, why]
+  ["*/15 * * * *", "minutes", [0, 15, 30, 45], "step over the whole field"],
+  ["5/20 * * * *", "minutes", [5, 25, 45], "a start with a step runs to the end"],
+  ["10-20/5 * * * *", "minutes", [10, 15, 20], "stepped range"],
+  ["0 9-17 * * *", "hours", range(9, 17), "range"],
+  ["0 9,12,17 * * *", "hours", [9, 12, 17], "list"],
+  ["0 1-3,20-22/2 * * *", "hours", [1, 2, 3, 20, 22], "list of ranges"],
+  ["0 0 */10 * *", "days", [1, 11, 21, 31], "day of month starts at 1"],
+  ["0 0 1 jan,JUL *", "months", [1, 7], "month names, any case"],
+  ["0 0 * feb-apr *", "months", [2, 3, 4], "named range"],
+  ["0 7 * * mon-fri", "weekdays", [1, 2, 3, 4, 5], "weekday names"],
+  ["0 7 * * 5-7", "weekdays", [0, 5, 6], "7 is Sunday"],
+  ["@hourly", "minutes", [0], "macro"],
+  ["@weekly", "weekdays", [0], "weekly is Sundays"],
+];
+
+for (const [expression, field, expected, why] of FIELD_CASES) {
+  test(`parseCron "${expression}": ${field} ${JSON.stringify(expected)} (${why})`, () => {
+    assert.deepStrictEqual(sorted(parseCron(expression)[field]), expected);
+  });
+}
+
+const INVALID = [
+  // [expression, error, why]
+  ["", /schedule must be a cron expression/, "empty"],
+  ["* * * *", /needs 5 fields/, "four fields"],
+  ["60 * * * *", /Invalid minute "60"/, "minute out of range"],
+  ["0 24 * * *", /Invalid hour "24"/, "hour out of range"],
+  ["0 0 0 * *", /Invalid day of month "0"/, "days start at 1"],
+  ["0 0 * 13 *", /Invalid month "13"/, "month out of range"],
+  ["0 0 * * funday", /Invalid day of week "funday"/, "unknown name"],
+  ["*/0 * * * *", /Invalid step "0"/, "zero step"],
+  ["1/2/3 * * * *", /Invalid minute "1\/2\/3"/, "two steps"],
+  ["0 17-9 * * *", /Invalid hour range "17-9"/, "backwards range"],
+  ["0 0 1,,2 * *", /Invalid day of month ""/, "empty list item"],
+  ["@often", /needs 5 fields/, "unknown macro"],
+];
+
+for (const [expression, error, why] of INVALID) {
+  test(`parseCron "${expression}" is a 400 (${why})`, () => {
+    assert.throws(() => parseCron(expression), e => e.status === 400 && error.test(e.message));
+  });
+}
+
+test("parseCron rejects an unknown time zone", () => {
+  assert.throws(() => parseCron("0 7 * * *", "Mars/Olympus"), { status: 400, message: /Unknown time zone/ });
+});
+
+const INTERVALS = [
+  // [expression, minutes, why]
+  ["* * * * *", 1, "every minute"],
+  ["*/15 * * * *", 15, "step"],
+  ["0 * * * *", 60, "hourly"],
+  ["0 9,17 * * *", 8 * 60, "two runs a day, closest pair"],
+  ["0 7 * * *", 24 * 60, "daily"],
+  ["0 7 * * 1-5", 24 * 60, "weekdays, Monday to Tuesday"],
+  ["0 7 * * 1,4", 3 * 24 * 60, "Monday and Thursday"],
+  ["0 0 * * 0", 7 * 24 * 60, "weekly"],
+  ["0 0 13 * 5", 24 * 60, "either day field can match: Friday then Saturday the 13th"],
+  ["0 0 1 * *", 28 * 24 * 60, "monthly, February is shortest"],
+  ["0 0 1 1 *", 365 * 24 * 60, "yearly"],
+  ["0 0 29 2 *", 1461 * 24 * 60, "leap days only"],
+  ["0 0 31 2 *", null, "never runs"],
+  ["0 0 31 4,6,9,11 *", null, "never runs in any listed month"],
+];
+
+for (const [expression, minutes, why] of INTERVALS) {
+  test(`shortestInterval "${expression}" is ${minutes} (${why})`, () => {
+    assert.strictEqual(shortestInterval(parseCron(expression)), minutes);
+  });
+}
+
+test("nextRun counts in the schedule's time zone", () => {
+  const after = new Date("2024-03-04T12:00:00Z"); // a Monday
+  assert.strictEqual(nextRun(parseCron("0 7 * * 1-5", "UTC"), after).toISOString(), "2024-03-05T07:00:00.000Z");
+  assert.strictEqual(nextRun(parseCron("0 7 * * 1-5", "America/New_York"), after).toISOString(), "2024-03-05T12:00:00.000Z");
+  assert.strictEqual(nextRun(parseCron("0 0 29 2 *"), after).toISOString(), "2028-02-29T00:00:00.000Z");
+  assert.strictEqual(nextRun(parseCron("0 0 31 2 *"), after), null);
+});
+
+const SCHEDULES = [
+  // [schedule, minIntervalMinutes, error (null when accepted)]
+  ["0 7 * * *", 60, null],
+  ["0 * * * *", 60, null],
+  ["*/30 * * * *", 60, /runs every 30 minute\(s\); the minimum is 60/],
+  ["0 9,10 * * *", 120, /runs every 60 minute\(s\); the minimum is 120/],
+  ["* * * * *", 1, null],
+  ["0 0 31 2 *", 60, /never runs/],
+  ["0 25 * * *", 60, /Invalid hour/],
+];
+
+for (const [schedule, minIntervalMinutes, error] of SCHEDULES) {
+  test(`parseScheduleInput "${schedule}" with a ${minIntervalMinutes}-minute minimum: ${error ? "rejected" : "accepted"}`, () => {
+    const parse = () => parseScheduleInput({ prompt: "focus", schedule, userToken: "user" }, { minIntervalMinutes });
+    if (error) assert.throws(parse, e => e.status === 400 && error.test(e.message));
+    else assert.strictEqual(parse().schedule, schedule);
+  });
+}
@@ -0,0 +1,104 @@
+// lib/llm.js on the fixture backend: a valid answer, an invalid one fixed in
+// the repair round, and one that stays invalid and fails with a 502. Plus the
+// lib/schema.js checks those outcomes rest on.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+process.env.LOG_LEVEL = "error"; // validation failures are logged as warnings
+
+const { createLlm, songSchema } = require("../lib/llm");
+const { validate, toStrictSchema } = require("../lib/schema");
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string", minLength: 1 },
+    songs: { type: "array", minItems: 1, items: songSchema() },
+  },
+  required: ["title", "songs"],
+};
+
+const VALID = { title: "Run", songs: [{ artist: "Daft Punk", title: "One More Time", energy: 0.8 }] };
+const INVALID = { title: "Run", songs: [{ artist: "", title: "One More Time", energy: 1.5 }] };
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-test-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A fixture backend answering `plan` with `replies` in order
+let files = 0;
+function llmWith(replies, options = {}) {
+  const file = path.join(dir, `fixtures-${files++}.json`);
+  fs.writeFileSync(file, JSON.stringify({ plan: replies }));
+  return createLlm({ backend: "fixture", fixtureFile: file, ...options });
+}
+
+const generate = llm => llm.generateJson({ purpose: "plan", system: "s", user: "u", schema: SCHEMA });
+
+test("a valid answer is returned as is", async () => {
+  assert.deepStrictEqual(await generate(llmWith([VALID])), VALID);
+});
+
+test("an invalid answer is repaired in the next round", async () => {
+  assert.deepStrictEqual(await generate(llmWith([INVALID, VALID])), VALID);
+  assert.deepStrictEqual(await generate(llmWith(["not json", VALID])), VALID);
+});
+
+test("an answer still invalid after the repairs fails with 502 and the errors", async () => {
+  await assert.rejects(generate(llmWith([INVALID, INVALID])), e => {
+    assert.strictEqual(e.status, 502);
+    assert.match(e.message, /invalid output for plan/);
+    assert.deepStrictEqual(e.details.validationErrors, [
+      "$.songs[0].artist must have at least 1 character(s)",
+      "$.songs[0].energy must be <= 1",
+    ]);
+    return true;
+  });
+});
+
+test("maxRepairs sets how many repair rounds there are", async () => {
+  await assert.rejects(generate(llmWith([INVALID, VALID], { maxRepairs: 0 })), { status: 502 });
+  assert.deepStrictEqual(await generate(llmWith([INVALID, INVALID, VALID], { maxRepairs: 2 })), VALID);
+});
+
+test("without fixtures the answer is derived from the schema", async () => {
+  const value = await createLlm({ backend: "fixture" }).generateJson({ purpose: "plan", system: "s", user: "u", schema: SCHEMA });
+  assert.deepStrictEqual(validate(SCHEMA, value), []);
+});
+
+test("an OpenAI backend without a key fails with 503", async () => {
+  const llm = createLlm({ backend: "openai" });
+  assert.strictEqual(llm.available, false);
+  await assert.rejects(generate(llm), { status: 503 });
+  assert.throws(() => createLlm({ backend: "nope" }), /Unknown LLM_BACKEND/);
+});
+
+const CASES = [
+  // [schema, value, expected errors, why]
+  [{ type: "string", minLength: 1 }, "  ", ["$ must have at least 1 character(s)"], "blank string"],
+  [{ type: "number", minimum: 0, maximum: 1 }, 2, ["$ must be <= 1"], "out of range"],
+  [{ type: "number" }, 3, [], "an integer is a number"],
+  [{ type: ["string", "null"] }, null, [], "nullable"],
+  [{ type: "string", enum: ["a", "b"] }, "c", ["$ must be one of a, b"], "enum"],
+  [{ type: "array", maxItems: 1, items: { type: "string" } }, ["a", 1], ["$ must have at most 1 items", "$[1] expected string, got integer"], "array items"],
+  [SCHEMA, { songs: [] }, ["$.title is required", "$.songs must have at least 1 item(s)"], "missing and short"],
+  [SCHEMA, { title: "t", songs: [{ artist: "a", title: "b", energy: null }] }, [], "optional field sent as null"],
+  [{ type: "object", properties: {}, additionalProperties: false }, { x: 1 }, ["$.x is not allowed"], "extra key"],
+];
+
+for (const [schema, value, expected, why] of CASES) {
+  test(`validate: ${why}`, () => {
+    assert.deepStrictEqual(validate(schema, value).map(e => `${e.path} ${e.message}`), expected);
+  });
+}
+
+test("toStrictSchema requires every field, makes optional ones nullable and drops range checks", () => {
+  const strict = toStrictSchema(songSchema());
+  assert.deepStrictEqual(strict.required, ["artist", "title", "energy", "rationale"]);
+  assert.strictEqual(strict.additionalProperties, false);
+  assert.deepStrictEqual(strict.properties.energy, { type: ["number", "null"] });
+  assert.deepStrictEqual(strict.properties.artist, { type: "string" });
+});
@@ -0,0 +1,67 @@
+// Requested song vs catalog candidate, scored by lib/matching.js.
+// Outcomes use index.js's thresholds: exact (0.9), title match (0.75), similar (0.5).
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { scoreMatch, pickBestMatch, parseTitle, parseArtist } = require("../lib/matching");
+
+const EXACT = 0.9;
+const SIMILAR = 0.5;
+
+const CASES = [
+  // [requested title, requested artist, candidate title, candidate artist, expected, why]
+  ["Dreams", "Fleetwood Mac", "Dreams (2004 Remaster)", "Fleetwood Mac", "exact", "a remaster is the same recording"],
+  ["Dreams", "Fleetwood Mac", "Dreams - 2004 Remaster", "Fleetwood Mac", "exact", "dash-style remaster tag"],
+  ["Wonderwall", "Oasis", "Wonderwall (Remastered)", "Oasis", "exact", "remastered"],
+  ["Dreams", "Fleetwood Mac", "Dreams (Live)", "Fleetwood Mac", "below-exact", "live wasn't asked for"],
+  ["Wonderwall", "Oasis", "Wonderwall - Live at Knebworth", "Oasis", "below-exact", "dash-style live tag"],
+  ["Dreams (Live)", "Fleetwood Mac", "Dreams (Live)", "Fleetwood Mac", "exact", "live was asked for"],
+  ["Dreams", "Fleetwood Mac", "Dreams - Karaoke Version", "Sing King", "rejected", "karaoke"],
+  ["Bohemian Rhapsody", "Queen", "Bohemian Rhapsody (In the Style of Queen) [Karaoke Version]", "Ameritz", "rejected", "karaoke in the style of"],
+  ["Bohemian Rhapsody", "Queen", "Bohemian Rhapsody", "Queen Tribute Band", "rejected", "tribute act"],
+  ["Smells Like Teen Spirit", "Nirvana", "Smells Like Teen Spirit", "Nirvana Tribute", "rejected", "tribute act"],
+  ["Hello", "Adele", "Hello", "Lionel Richie", "rejected", "same title, different artist"],
+  ["Crazy in Love", "Beyoncé & Jay-Z", "Crazy In Love (feat. JAY-Z)", "Beyoncé", "exact", "featured credit"],
+  ["Stay", "Justin Bieber & The Kid LAROI", "Stay (with Justin Bieber)", "The Kid LAROI", "exact", "bracketed \"with\" credit"],
+  ["Lean On", "Major Lazer x DJ Snake", "Lean On (feat. MØ)", "Major Lazer & DJ Snake", "exact", "\"x\" between two names"],
+  ["Hey Ya!", "OutKast", "Hey Ya", "Outkast", "exact", "punctuation and case"],
+  ["With or Without You", "U2", "With or Without You", "U2", "exact", "title starting with \"With\""],
+  ["With or Without You", "U2", "With or Without You (Remastered)", "U2", "exact", "title starting with \"With\", remastered"],
+  ["Dance With Me", "112", "Dance With Me", "112", "exact", "\"With\" inside the title"],
+  ["Dance With Me", "112", "Dance", "112", "below-exact", "a shorter title is another song"],
+  ["Mix Tape", "X", "Mix Tape", "X", "exact", "the artist \"X\""],
+];
+
+const outcome = confidence => (confidence >= EXACT ? "exact" : confidence >= SIMILAR ? "below-exact" : "rejected");
+
+for (const [reqTitle, reqArtist, title, artist, expected, why] of CASES) {
+  test(`${reqArtist} – ${reqTitle} vs ${artist} – ${title}: ${expected} (${why})`, () => {
+    const { confidence } = scoreMatch({ title, artist }, { title: reqTitle, artist: reqArtist });
+    assert.strictEqual(outcome(confidence), expected, `confidence ${confidence}`);
+  });
+}
+
+test("the studio recording beats live and karaoke versions", () => {
+  const candidates = [
+    { id: "live", title: "Dreams (Live)", artist: "Fleetwood Mac" },
+    { id: "karaoke", title: "Dreams - Karaoke Version", artist: "Sing King" },
+    { id: "studio", title: "Dreams (2004 Remaster)", artist: "Fleetwood Mac" },
+  ];
+  assert.strictEqual(pickBestMatch(candidates, { title: "Dreams", artist: "Fleetwood Mac" }).id, "studio");
+});
+
+test("a live version wins when the prompt asks for live", () => {
+  const candidates = [
+    { id: "studio", title: "Dreams", artist: "Fleetwood Mac" },
+    { id: "live", title: "Dreams (Live)", artist: "Fleetwood Mac" },
+  ];
+  assert.strictEqual(pickBestMatch(candidates, { title: "Dreams", artist: "Fleetwood Mac" }, { wantedTags: ["live"] }).id, "live");
+});
+
+test("parsing", () => {
+  assert.deepStrictEqual(parseTitle("With or Without You"), { base: "with or without you", tags: [], featured: [] });
+  assert.deepStrictEqual(parseTitle("Dance With Me"), { base: "dance with me", tags: [], featured: [] });
+  assert.deepStrictEqual(parseTitle("Song (with Bob & Al) [Live]"), { base: "song", tags: ["live"], featured: ["bob", "al"] });
+  assert.deepStrictEqual(parseArtist("X").names, ["x"]);
+  assert.deepStrictEqual(parseArtist("Jack x Jill").names, ["jack", "jill"]);
+});
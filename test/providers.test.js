@@ -0,0 +1,200 @@
+// Apple Music and Spotify adapters against a local stub server: request shape,
+// track mapping, and which upstream failures come back empty, as null or as a
+// ProviderError carrying the status and body.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("node:http");
+const { createAppleProvider, createSpotifyProvider, createProviders, ProviderError } = require("../providers");
+
+// "METHOD /path" -> (url, body, req) => [status, body]; replaced per test
+let routes = {};
+const calls = [];
+let base;
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", c => (body += c));
+  req.on("end", () => {
+    const url = new URL(req.url, base);
+    calls.push({ method: req.method, url, body, headers: req.headers });
+    const route = routes[`${req.method} ${url.pathname}`];
+    const [status, out] = route ? route(url, body, req) : [404, { error: "no route" }];
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(typeof out === "string" ? out : JSON.stringify(out ?? null));
+  });
+});
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => server.close());
+test.beforeEach(() => {
+  routes = {};
+  calls.length = 0;
+});
+
+const appleSong = (id, attributes = {}) => ({
+  id,
+  type: "songs",
+  attributes: {
+    name: "Song " + id,
+    artistName: "Artist " + id,
+    durationInMillis: 200000,
+    isrc: "ISRC" + id,
+    playParams: { id },
+    ...attributes,
+  },
+});
+
+const spotifyTrack = (id, extra = {}) => ({
+  id,
+  name: "Song " + id,
+  artists: [{ name: "Artist " + id }],
+  duration_ms: 200000,
+  external_ids: { isrc: "ISRC" + id },
+  album: { name: "Album", release_date: "2001-01-01", images: [] },
+  ...extra,
+});
+
+const apple = () => createAppleProvider({ baseUrl: base, signDevToken: () => "dev" });
+const spotify = () => createSpotifyProvider({ baseUrl: base, accountsUrl: base, clientId: "id", clientSecret: "secret" });
+
+test("apple: search sends the term to the storefront and maps songs to tracks", async () => {
+  routes["GET /v1/catalog/gb/search"] = () => [200, {
+    results: { songs: { data: [
+      appleSong("1", { contentRating: "explicit", genreNames: ["Pop"], artwork: { url: "a", width: 1, height: 1 } }),
+      appleSong("2", { playParams: undefined }),
+      { id: "3", attributes: { artistName: "No Title" } },
+    ] } },
+  }];
+  const tracks = await apple().searchSongs({ q: "dreams fleetwood", storefront: "gb", limit: 5, developerToken: "dev" });
+
+  assert.strictEqual(calls[0].url.searchParams.get("term"), "dreams fleetwood");
+  assert.strictEqual(calls[0].url.searchParams.get("limit"), "5");
+  assert.strictEqual(calls[0].headers.authorization, "Bearer dev");
+  assert.deepStrictEqual(tracks.map(t => [t.id, t.contentRating, t.isrc, t.playable]), [
+    ["1", "explicit", "ISRC1", true],
+    ["2", "", "ISRC2", false],
+  ]);
+  assert.deepStrictEqual(tracks[0].artwork, { url: "a", width: 1, height: 1 });
+});
+
+test("apple: a failed search or id lookup is empty rather than an error", async () => {
+  routes["GET /v1/catalog/us/search"] = () => [500, "oops"];
+  routes["GET /v1/catalog/us/songs"] = () => [503, "down"];
+  assert.deepStrictEqual(await apple().searchSongs({ q: "x", developerToken: "dev" }), []);
+  assert.deepStrictEqual(await apple().getSongs({ ids: ["1"], developerToken: "dev" }), []);
+});
+
+test("apple: getSongs looks ids up in one call", async () => {
+  routes["GET /v1/catalog/us/songs"] = url => [200, { data: url.searchParams.get("ids").split(",").map(id => appleSong(id)) }];
+  const tracks = await apple().getSongs({ ids: ["1", "2"], developerToken: "dev" });
+  assert.deepStrictEqual(tracks.map(t => t.id), ["1", "2"]);
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(await apple().getSongs({ ids: [], developerToken: "dev" }), []);
+  assert.strictEqual(calls.length, 1);
+});
+
+test("apple: getSongsByIsrc sends up to 25 ISRCs and throws when the lookup fails", async () => {
+  routes["GET /v1/catalog/us/songs"] = url => [200, { data: url.searchParams.get("filter[isrc]").split(",").map(i => appleSong(i)) }];
+  const isrcs = Array.from({ length: 30 }, (_, i) => "I" + i);
+  assert.strictEqual((await apple().getSongsByIsrc({ isrcs, developerToken: "dev" })).length, 25);
+
+  routes["GET /v1/catalog/us/songs"] = () => [503, { errors: [{ status: "503" }] }];
+  await assert.rejects(apple().getSongsByIsrc({ isrcs: ["I1"], developerToken: "dev" }), e => {
+    assert.ok(e instanceof ProviderError);
+    assert.strictEqual(e.status, 503);
+    assert.match(e.body, /"status":"503"/);
+    return true;
+  });
+
+  routes["GET /v1/catalog/us/songs"] = () => [200, "not json"];
+  await assert.rejects(apple().getSongsByIsrc({ isrcs: ["I1"], developerToken: "dev" }), { name: "ProviderError", status: 502 });
+});
+
+test("apple: an unknown collection is null, any other failure a ProviderError", async () => {
+  routes["GET /v1/catalog/us/albums/nope"] = () => [404, { errors: [] }];
+  routes["GET /v1/catalog/us/albums/broken"] = () => [500, "boom"];
+  assert.strictEqual(await apple().getCollection({ kind: "album", id: "nope", developerToken: "dev" }), null);
+  await assert.rejects(apple().getCollection({ kind: "album", id: "broken", developerToken: "dev" }), { name: "ProviderError", status: 500, body: "boom" });
+});
+
+test("apple: write failures keep Apple's status and body", async () => {
+  routes["POST /v1/me/library/playlists/p.1/tracks"] = () => [403, { errors: [{ title: "Forbidden" }] }];
+  await assert.rejects(
+    apple().addTracks({ playlistId: "p.1", ids: ["1"], developerToken: "dev", userToken: "user" }),
+    e => e instanceof ProviderError && e.status === 403 && /Forbidden/.test(e.body)
+  );
+  assert.strictEqual(calls[0].headers["music-user-token"], "user");
+  assert.deepStrictEqual(JSON.parse(calls[0].body), { data: [{ id: "1", type: "songs" }] });
+});
+
+test("spotify: the app token is fetched with client credentials and reused", async () => {
+  routes["POST /api/token"] = () => [200, { access_token: "app", expires_in: 3600 }];
+  const provider = spotify();
+  assert.strictEqual(await provider.getCatalogToken(), "app");
+  assert.strictEqual(await provider.getCatalogToken(), "app");
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].headers.authorization, `Basic ${Buffer.from("id:secret").toString("base64")}`);
+  assert.strictEqual(calls[0].body, "grant_type=client_credentials");
+});
+
+test("spotify: a rejected app token is a ProviderError", async () => {
+  routes["POST /api/token"] = () => [401, { error: "invalid_client" }];
+  await assert.rejects(spotify().getCatalogToken(), { name: "ProviderError", status: 401 });
+});
+
+test("spotify: search uses the market and maps explicit, unplayable and relinked tracks", async () => {
+  routes["GET /v1/search"] = () => [200, {
+    tracks: { items: [
+      spotifyTrack("1", { explicit: true, linked_from: { id: "0" } }),
+      spotifyTrack("2", { is_playable: false, artists: [{ name: "A" }, { name: "B" }] }),
+      null,
+    ] },
+  }];
+  const tracks = await spotify().searchSongs({ q: "x", storefront: "gb", developerToken: "app" });
+
+  assert.strictEqual(calls[0].url.searchParams.get("market"), "GB");
+  assert.strictEqual(calls[0].url.searchParams.get("type"), "track");
+  assert.deepStrictEqual(tracks.map(t => [t.id, t.artist, t.contentRating, t.playable, t.linkedFrom]), [
+    ["1", "Artist 1", "explicit", true, "0"],
+    ["2", "A, B", "", false, undefined],
+  ]);
+});
+
+test("spotify: a failed search or id lookup is empty rather than an error", async () => {
+  routes["GET /v1/search"] = () => [500, "oops"];
+  routes["GET /v1/tracks"] = () => [502, "bad gateway"];
+  assert.deepStrictEqual(await spotify().searchSongs({ q: "x", developerToken: "app" }), []);
+  assert.deepStrictEqual(await spotify().getSongs({ ids: ["1"], developerToken: "app" }), []);
+});
+
+test("spotify: getSongsByIsrc searches each ISRC and throws when one fails", async () => {
+  routes["GET /v1/search"] = url => [200, { tracks: { items: [spotifyTrack(url.searchParams.get("q").replace("isrc:", ""))] } }];
+  const tracks = await spotify().getSongsByIsrc({ isrcs: ["A", "B"], developerToken: "app" });
+  assert.deepStrictEqual(tracks.map(t => t.id), ["A", "B"]);
+  assert.deepStrictEqual(calls.map(c => c.url.searchParams.get("q")), ["isrc:A", "isrc:B"]);
+
+  routes["GET /v1/search"] = () => [429, { error: { status: 429 } }];
+  await assert.rejects(spotify().getSongsByIsrc({ isrcs: ["A"], developerToken: "app" }), { name: "ProviderError", status: 429 });
+});
+
+test("spotify: an unknown collection is null, an auth failure a ProviderError", async () => {
+  routes["GET /v1/albums/nope"] = () => [404, { error: { status: 404 } }];
+  routes["GET /v1/playlists/private"] = () => [401, { error: { status: 401 } }];
+  assert.strictEqual(await spotify().getCollection({ kind: "album", id: "nope", developerToken: "app" }), null);
+  await assert.rejects(
+    spotify().getCollection({ kind: "library-playlist", id: "private", userToken: "user" }),
+    { name: "ProviderError", status: 401 }
+  );
+});
+
+test("registry: API bases come from the environment and an unknown provider is a 400", async () => {
+  routes["GET /v1/catalog/us/songs"] = () => [200, { data: [appleSong("1")] }];
+  const getProvider = createProviders({ signDevToken: () => "dev", env: { APPLE_MUSIC_API_BASE: base, CATALOG_MAX_RETRIES: "0" } });
+  assert.deepStrictEqual((await getProvider().getSongs({ ids: ["1"], developerToken: "dev" })).map(t => t.id), ["1"]);
+  assert.strictEqual(getProvider("Spotify").name, "spotify");
+  assert.throws(() => getProvider("tidal"), { status: 400, message: /Unknown provider "tidal"/ });
+});